@@ -0,0 +1,671 @@
+/**
+ * Dice Engine
+ * Dice expression parser and roller for the High-Performance Dice Rolling Subsystem
+ *
+ * Supported notation (case-insensitive, whitespace ignored):
+ * - NdX: N dice with X sides ("3d6", "d20" is shorthand for "1d20")
+ * - d%: percentile die, same as d100
+ * - +/- modifiers and multiple dice groups ("3d6+1d4+2", "2d10-1")
+ * - dlN / dhN: drop the N lowest / highest dice ("4d6dl1")
+ * - khN / klN: keep the N highest / lowest dice ("2d20kh1")
+ * - !: exploding dice, roll again and add whenever a die shows its maximum ("3d6!"); each extra die is
+ *   listed in rolls and counts as a die of its own for drop/keep rules
+ *
+ * Usage:
+ * const diceEngine = new DiceEngine();
+ * const result = diceEngine.roll('4d6dl1');
+ * console.log(result.total, result.breakdown);
+ *
+ * Seeded mode replays the exact same sequence of rolls for a given seed:
+ * const seeded = new DiceEngine({ seed: 48213 });
+ * seeded.roll('1d20'); // same total every time for seed 48213
+ *
+ * Exact outcome distributions (no random draws involved):
+ * const stats = diceEngine.getDistribution('2d6');
+ * console.log(stats.mean, stats.outcomes[5]); // 7, { value: 7, probability: 0.1666... }
+ *
+ * @version 1.0
+ * @date September 20, 2025
+ * @location code-repository/src/dice/dice-engine.js
+ */
+
+const MAX_DICE_PER_GROUP = 1000;
+const MAX_SIDES = 10000;
+const MAX_EXPLOSIONS_PER_DIE = 100;
+// Exact distributions above this many steps (see getDistributionCost) would take seconds to minutes
+const MAX_DISTRIBUTION_STEPS = 50000000;
+
+const TERM_PATTERN = /^(\d*)d(\d+|%)((?:!|[dk][hl]\d+)*)$/;
+const SUFFIX_PATTERN = /!|([dk][hl])(\d+)/g;
+
+/**
+ * Distribution of a single die plus any extra dice its explosions add
+ * @param {number} sides - Number of faces
+ * @param {boolean} explode - Whether the die explodes on its maximum
+ * @returns {Map<number, number>} Value -> probability
+ */
+function dieDistribution(sides, explode) {
+  const distribution = new Map();
+  const faceProbability = 1 / sides;
+  let chainProbability = 1;
+
+  for (let explosions = 0; ; explosions++) {
+    const base = explosions * sides;
+    const last = !explode || explosions === MAX_EXPLOSIONS_PER_DIE || chainProbability * faceProbability < 1e-12;
+
+    for (let face = 1; face <= sides; face++) {
+      if (face === sides && !last) continue;
+      distribution.set(base + face, chainProbability * faceProbability);
+    }
+    if (last) return distribution;
+    chainProbability *= faceProbability;
+  }
+}
+
+/**
+ * Distribution of the dice kept from a pool of identical dice
+ * @param {Array<Array<number>>} faces - [value, probability] pairs, best first for the keep rule
+ * @param {number} count - Dice in the pool
+ * @param {number} keepCount - Dice kept, the best ones
+ * @returns {Map<number, number>} Kept total -> probability
+ */
+function keptDistribution(faces, count, keepCount) {
+  // Assign dice to faces from best to worst; the first keepCount dice assigned are the kept ones.
+  // State: dice assigned -> (kept sum -> probability).
+  let states = Array.from({ length: count + 1 }, () => new Map());
+  states[0].set(0, 1);
+
+  faces.forEach(([value, probability]) => {
+    const next = states.map(() => new Map());
+    states.forEach((sums, assigned) => {
+      sums.forEach((stateProbability, sum) => {
+        let weight = stateProbability;
+        for (let dice = 0; assigned + dice <= count; dice++) {
+          if (dice > 0) {
+            weight *= probability * (count - assigned - dice + 1) / dice;
+          }
+          if (weight === 0) break;
+          const kept = Math.min(assigned + dice, keepCount) - Math.min(assigned, keepCount);
+          const total = sum + kept * value;
+          const bucket = next[assigned + dice];
+          bucket.set(total, (bucket.get(total) || 0) + weight);
+        }
+      });
+    });
+    states = next;
+  });
+
+  return states[count];
+}
+
+/**
+ * Combine two independent distributions (sum, or difference when sign is -1)
+ * @param {Map<number, number>} left - Running distribution
+ * @param {Map<number, number>} right - Distribution to add
+ * @param {number} sign - 1 to add, -1 to subtract
+ * @returns {Map<number, number>} Combined distribution
+ */
+function convolve(left, right, sign) {
+  const result = new Map();
+  left.forEach((leftProbability, leftValue) => {
+    right.forEach((rightProbability, rightValue) => {
+      const value = leftValue + sign * rightValue;
+      result.set(value, (result.get(value) || 0) + leftProbability * rightProbability);
+    });
+  });
+  return result;
+}
+
+class DiceEngine {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - Seed for reproducible rolls; omit for secure random rolls
+   * @param {Function} [options.random] - Source returning a float in [0, 1); ignored when a seed is given
+   * @param {number} [options.maxDistributionSteps] - Cost limit for getDistribution (default 50,000,000)
+   */
+  constructor(options = {}) {
+    this.expressionCache = new Map();
+    this.maxDistributionSteps = options.maxDistributionSteps || MAX_DISTRIBUTION_STEPS;
+
+    if (options.seed !== undefined && options.seed !== null) {
+      this.setSeed(options.seed);
+    } else {
+      this.seed = null;
+      this.drawIndex = 0;
+      this.source = options.random || DiceEngine.createSecureRandom();
+    }
+  }
+
+  /**
+   * Switch to seeded mode, optionally resuming part-way through the sequence
+   * @param {number|string} seed - Seed value, shared between GMs to reproduce results
+   * @param {number} [drawIndex=0] - Number of draws to skip, as reported by a roll result
+   * @returns {DiceEngine} This engine
+   */
+  setSeed(seed, drawIndex = 0) {
+    this.seed = seed;
+    this.drawIndex = 0;
+    this.source = DiceEngine.createSeededRandom(seed);
+
+    while (this.drawIndex < drawIndex) {
+      this.random();
+    }
+    return this;
+  }
+
+  /**
+   * @returns {number|string|null} Current seed, or null when rolling unseeded
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Draw the next raw random number; every die roll goes through here
+   * @returns {number} Float in [0, 1)
+   */
+  random() {
+    this.drawIndex++;
+    return this.source();
+  }
+
+  /**
+   * Roll a dice expression
+   * @param {string} expression - Dice notation such as "1d20+5" or "4d6dl1"
+   * @returns {{expression: string, total: number, rolls: number[], modifier: number, breakdown: string, groups: Object[], seed: (number|string|null), drawIndex: number}}
+   */
+  roll(expression) {
+    const parsed = this.parseExpression(expression);
+    const result = {
+      expression: parsed.expression,
+      total: 0,
+      rolls: [],
+      modifier: 0,
+      breakdown: '',
+      groups: [],
+      seed: this.seed,
+      drawIndex: this.drawIndex
+    };
+    const parts = [];
+
+    parsed.terms.forEach((term, index) => {
+      const sign = term.sign < 0 ? '-' : (index > 0 ? '+' : '');
+
+      if (term.type === 'constant') {
+        result.modifier += term.sign * term.value;
+        result.total += term.sign * term.value;
+        parts.push(`${sign}${term.value}`);
+        return;
+      }
+
+      const group = this.rollGroup(term);
+      result.groups.push(group);
+      result.rolls.push(...group.rolls);
+      result.total += term.sign * group.total;
+
+      const dice = group.rolls.map((value, dieIndex) =>
+        group.dropped.includes(dieIndex) ? `(${value})` : String(value)
+      );
+      parts.push(`${sign}${term.notation}[${dice.join(', ')}]`);
+    });
+
+    result.breakdown = `${parts.join(' ')} = ${result.total}`;
+    return result;
+  }
+
+  /**
+   * Alias of roll() used by RandomTablesData.rollWithDiceEngine
+   * @param {string} expression - Dice notation
+   * @returns {Object} Roll result
+   */
+  rollExpression(expression) {
+    return this.roll(expression);
+  }
+
+  /**
+   * Roll a single die
+   * @param {number} sides - Number of faces
+   * @returns {number} Value between 1 and sides
+   */
+  rollDie(sides) {
+    return Math.floor(this.random() * sides) + 1;
+  }
+
+  /**
+   * Roll one parsed dice group, applying explosions and drop/keep rules
+   * @param {Object} term - Parsed dice term
+   * @returns {{notation: string, sign: number, rolls: number[], kept: number[], dropped: number[], total: number}}
+   */
+  rollGroup(term) {
+    const rolls = [];
+
+    for (let i = 0; i < term.count; i++) {
+      let value = this.rollDie(term.sides);
+      rolls.push(value);
+
+      let explosions = 0;
+      while (term.explode && value === term.sides && explosions < MAX_EXPLOSIONS_PER_DIE) {
+        value = this.rollDie(term.sides);
+        rolls.push(value);
+        explosions++;
+      }
+    }
+
+    const dropped = this.selectDropped(rolls, term.keep);
+    const kept = [];
+    let total = 0;
+    rolls.forEach((value, index) => {
+      if (!dropped.includes(index)) {
+        kept.push(value);
+        total += value;
+      }
+    });
+
+    return {
+      notation: term.notation,
+      sign: term.sign,
+      rolls: rolls,
+      kept: kept,
+      dropped: dropped,
+      total: total
+    };
+  }
+
+  /**
+   * Work out which dice a keep rule discards
+   * @param {number[]} rolls - Dice values in roll order
+   * @param {{highest: boolean, amount: number, drop: boolean}|null} keep - Normalised keep rule
+   * @returns {number[]} Indexes of dropped dice
+   */
+  selectDropped(rolls, keep) {
+    if (!keep) return [];
+
+    const keepCount = keep.drop ? rolls.length - keep.amount : keep.amount;
+
+    const order = rolls
+      .map((value, index) => ({ value, index }))
+      .sort((a, b) => keep.highest ? b.value - a.value : a.value - b.value);
+
+    return order.slice(Math.max(0, keepCount)).map(entry => entry.index);
+  }
+
+  /**
+   * Compute the exact outcome distribution of a dice expression (cached).
+   * Exploding dice are followed until the remaining probability drops below 1e-12.
+   * Throws for expressions costing more than maxDistributionSteps, such as "40d1000", rather than
+   * working for seconds or minutes; rolling them is still fine.
+   * @param {string} expression - Dice notation
+   * @returns {{expression: string, outcomes: Array<{value: number, probability: number}>, min: number, max: number, mean: number, variance: number, standardDeviation: number, percentiles: Object}}
+   */
+  getDistribution(expression) {
+    const parsed = this.parseExpression(expression);
+    if (!this.distributionCache) {
+      this.distributionCache = new Map();
+    }
+
+    const cached = this.distributionCache.get(parsed.expression);
+    if (cached) return cached;
+
+    const cost = this.getDistributionCost(parsed.expression);
+    if (cost > this.maxDistributionSteps) {
+      throw new Error(`'${parsed.expression}' is too large for exact odds (about ${Math.round(cost).toLocaleString('en-US')} steps, ` +
+        `limit ${this.maxDistributionSteps.toLocaleString('en-US')}); use fewer or smaller dice`);
+    }
+
+    let distribution = new Map([[0, 1]]);
+    parsed.terms.forEach(term => {
+      const termDistribution = term.type === 'constant'
+        ? new Map([[term.value, 1]])
+        : this.getGroupDistribution(term);
+      distribution = convolve(distribution, termDistribution, term.sign);
+    });
+
+    const outcomes = Array.from(distribution.entries())
+      .map(([value, probability]) => ({ value, probability }))
+      .sort((a, b) => a.value - b.value);
+
+    let mean = 0;
+    outcomes.forEach(outcome => { mean += outcome.value * outcome.probability; });
+    let variance = 0;
+    outcomes.forEach(outcome => { variance += Math.pow(outcome.value - mean, 2) * outcome.probability; });
+
+    const percentiles = {};
+    [5, 10, 25, 50, 75, 90, 95].forEach(percentile => {
+      let cumulative = 0;
+      const target = percentile / 100 - 1e-9;
+      const outcome = outcomes.find(entry => (cumulative += entry.probability) >= target);
+      percentiles[percentile] = (outcome || outcomes[outcomes.length - 1]).value;
+    });
+
+    const result = {
+      expression: parsed.expression,
+      outcomes: outcomes,
+      min: outcomes[0].value,
+      max: outcomes[outcomes.length - 1].value,
+      mean: mean,
+      variance: variance,
+      standardDeviation: Math.sqrt(variance),
+      percentiles: percentiles
+    };
+
+    this.distributionCache.set(parsed.expression, result);
+    return result;
+  }
+
+  /**
+   * Estimate the work getDistribution does for an expression, in steps of its inner loops; a
+   * million steps take roughly 15-50 ms in Node. Estimates err on the high side.
+   * @param {string} expression - Dice notation
+   * @returns {number} Estimated steps
+   */
+  getDistributionCost(expression) {
+    let steps = 0;
+    let span = 0;
+    this.parseExpression(expression).terms.forEach(term => {
+      const group = term.type === 'constant' ? { steps: 0, span: 0 } : this.getGroupDistributionCost(term);
+      // Combining with the running distribution pairs every total of one with every total of the
+      // other; those steps go through Maps and cost about four of the dense ones
+      steps += group.steps + 4 * (span + 1) * (group.span + 1);
+      span += group.span;
+    });
+    return steps;
+  }
+
+  /**
+   * Estimated steps of getGroupDistribution and the span of totals it produces
+   * @param {Object} term - Parsed dice term
+   * @returns {{steps: number, span: number}} Estimate
+   */
+  getGroupDistributionCost(term) {
+    // Faces of one die; an exploding die follows its chain until it is less likely than 1e-12
+    const chain = term.explode ? Math.min(MAX_EXPLOSIONS_PER_DIE, Math.ceil(12 / Math.log10(term.sides))) : 0;
+    const faces = term.sides * (chain + 1);
+    const dieSpan = faces - 1;
+
+    if (!term.keep) {
+      return { steps: faces * (term.count * (term.count - 1) / 2 * dieSpan + term.count), span: term.count * dieSpan };
+    }
+
+    // keptDistribution: each face against every state (dice assigned, kept sum) and dice count
+    const kept = Math.min(term.count, term.keep.drop ? term.count - term.keep.amount : term.keep.amount);
+    const keptSteps = (dieFaces, keepCount) =>
+      dieFaces * (term.count + 1) * (keepCount * (term.sides - 1) + 1) * (term.count + 2) / 2;
+    if (!term.explode) {
+      return { steps: keptSteps(term.sides, kept), span: kept * (term.sides - 1) };
+    }
+
+    // Exploding pools run keptDistribution for each number of lower dice kept (up to amount + 1 of
+    // them) and add one kept distribution per number of maxima rolled
+    const maxima = term.count * chain;
+    const poolKept = term.keep.drop ? kept + maxima : kept;
+    const lowerSpan = kept * (term.sides - 2) + 1;
+    return {
+      steps: keptSteps(term.sides - 1, kept) * (term.keep.amount + 1) + maxima * lowerSpan,
+      span: poolKept * term.sides
+    };
+  }
+
+  /**
+   * Probability that a dice expression totals between min and max (inclusive)
+   * @param {string} expression - Dice notation
+   * @param {number} min - Lowest total
+   * @param {number} [max=min] - Highest total
+   * @returns {number} Probability between 0 and 1
+   */
+  getProbability(expression, min, max = min) {
+    return this.getDistribution(expression).outcomes
+      .filter(outcome => outcome.value >= min && outcome.value <= max)
+      .reduce((sum, outcome) => sum + outcome.probability, 0);
+  }
+
+  /**
+   * Outcome distribution of one dice group, including explosions and drop/keep rules
+   * @param {Object} term - Parsed dice term
+   * @returns {Map<number, number>} Total -> probability
+   */
+  getGroupDistribution(term) {
+    const die = dieDistribution(term.sides, term.explode);
+
+    if (!term.keep) {
+      // Dense arrays keep large pools such as 100d100 fast: sums[i] = P(total = offset + i)
+      const faces = Array.from(die.entries());
+      const dieMin = faces[0][0];
+      const dieSpan = faces[faces.length - 1][0] - dieMin;
+      let sums = new Float64Array([1]);
+
+      for (let i = 0; i < term.count; i++) {
+        const next = new Float64Array(sums.length + dieSpan);
+        for (let index = 0; index < sums.length; index++) {
+          if (sums[index] === 0) continue;
+          faces.forEach(([value, probability]) => {
+            next[index + value - dieMin] += sums[index] * probability;
+          });
+        }
+        sums = next;
+      }
+
+      const distribution = new Map();
+      sums.forEach((probability, index) => {
+        if (probability > 0) distribution.set(term.count * dieMin + index, probability);
+      });
+      return distribution;
+    }
+
+    const keepCount = term.keep.drop ? term.count - term.keep.amount : term.keep.amount;
+    const best = (a, b) => term.keep.highest ? b[0] - a[0] : a[0] - b[0];
+    if (!term.explode) {
+      return keptDistribution(Array.from(die.entries()).sort(best), term.count, keepCount);
+    }
+
+    // Exploding pools with a keep rule: every maximum adds a die, so the pool is term.count dice
+    // below the maximum plus k maxima, k following a negative binomial distribution. The keep rule
+    // takes maxima first (keeping highest) or last (keeping lowest) and the rest from the other dice.
+    const faceProbability = 1 / term.sides;
+    const lower = Array.from({ length: term.sides - 1 }, (unused, index) => [index + 1, 1 / (term.sides - 1)]).sort(best);
+    const keptLower = new Map();
+    const distribution = new Map();
+    let poolProbability = Math.pow(1 - faceProbability, term.count);
+    let covered = 0;
+    for (let maxima = 0; maxima <= term.count * MAX_EXPLOSIONS_PER_DIE && covered < 1 - 1e-12; maxima++) {
+      if (maxima > 0) {
+        poolProbability *= faceProbability * (term.count + maxima - 1) / maxima;
+      }
+      covered += poolProbability;
+      const poolKeep = term.keep.drop ? term.count + maxima - term.keep.amount : term.keep.amount;
+      const maximaKept = term.keep.highest ? Math.min(maxima, poolKeep) : Math.max(0, poolKeep - term.count);
+      const lowerKept = poolKeep - maximaKept;
+      if (!keptLower.has(lowerKept)) {
+        keptLower.set(lowerKept, keptDistribution(lower, term.count, lowerKept));
+      }
+      keptLower.get(lowerKept).forEach((probability, sum) => {
+        const total = sum + maximaKept * term.sides;
+        distribution.set(total, (distribution.get(total) || 0) + probability * poolProbability);
+      });
+    }
+    return distribution;
+  }
+
+  /**
+   * Parse a dice expression into terms (cached)
+   * @param {string} expression - Dice notation
+   * @returns {{expression: string, terms: Object[]}} Parsed expression
+   */
+  parseExpression(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('Dice expression must be a non-empty string');
+    }
+
+    const cached = this.expressionCache.get(expression);
+    if (cached) return cached;
+
+    const source = expression.replace(/\s+/g, '').toLowerCase();
+    const tokens = source.match(/[+-]?[^+-]+/g);
+    if (!tokens || tokens.join('') !== source) {
+      throw new Error(`Invalid dice expression '${expression}'`);
+    }
+
+    const terms = tokens.map(token => this.parseTerm(token, expression));
+    const parsed = {
+      expression: terms
+        .map((term, index) => (term.sign < 0 ? '-' : (index > 0 ? '+' : '')) + term.notation)
+        .join(''),
+      terms: terms
+    };
+
+    this.expressionCache.set(expression, parsed);
+    return parsed;
+  }
+
+  /**
+   * Parse one signed term of an expression
+   * @param {string} token - Term with optional leading sign, e.g. "-1d4" or "+2"
+   * @param {string} expression - Full expression, used in error messages
+   * @returns {Object} Constant or dice term
+   */
+  parseTerm(token, expression) {
+    const sign = token[0] === '-' ? -1 : 1;
+    const body = token.replace(/^[+-]/, '');
+
+    if (/^\d+$/.test(body)) {
+      return { type: 'constant', sign: sign, value: parseInt(body, 10), notation: body };
+    }
+
+    const match = body.match(TERM_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid dice notation '${body}' in '${expression}'`);
+    }
+
+    const count = match[1] === '' ? 1 : parseInt(match[1], 10);
+    const sides = match[2] === '%' ? 100 : parseInt(match[2], 10);
+
+    if (count < 1 || count > MAX_DICE_PER_GROUP) {
+      throw new Error(`Dice count in '${body}' must be between 1 and ${MAX_DICE_PER_GROUP}`);
+    }
+    if (sides < 1 || sides > MAX_SIDES) {
+      throw new Error(`Die size in '${body}' must be between 1 and ${MAX_SIDES}`);
+    }
+
+    let explode = false;
+    let keep = null;
+    let suffix;
+    SUFFIX_PATTERN.lastIndex = 0;
+    while ((suffix = SUFFIX_PATTERN.exec(match[3])) !== null) {
+      if (suffix[0] === '!') {
+        if (sides === 1) {
+          throw new Error(`Cannot explode a one-sided die in '${body}'`);
+        }
+        explode = true;
+        continue;
+      }
+      if (keep) {
+        throw new Error(`Only one drop/keep rule is allowed in '${body}'`);
+      }
+
+      const amount = parseInt(suffix[2], 10);
+      if (amount > count) {
+        throw new Error(`Cannot ${suffix[1][0] === 'd' ? 'drop' : 'keep'} ${amount} of ${count} dice in '${body}'`);
+      }
+
+      // Normalise drop rules into keep rules: "dl1" keeps the highest, "dh1" the lowest
+      switch (suffix[1]) {
+        case 'kh': keep = { mode: 'kh', amount: amount, highest: true, drop: false }; break;
+        case 'kl': keep = { mode: 'kl', amount: amount, highest: false, drop: false }; break;
+        case 'dl': keep = { mode: 'dl', amount: amount, highest: true, drop: true }; break;
+        case 'dh': keep = { mode: 'dh', amount: amount, highest: false, drop: true }; break;
+      }
+    }
+
+    const notation = `${count}d${sides}${explode ? '!' : ''}${keep ? keep.mode + keep.amount : ''}`;
+
+    return {
+      type: 'dice',
+      sign: sign,
+      count: count,
+      sides: sides,
+      explode: explode,
+      keep: keep,
+      notation: notation
+    };
+  }
+
+  /**
+   * Create a seeded pseudo-random source (mulberry32)
+   * @param {number|string} seed - Numeric or text seed
+   * @returns {Function} Source returning a float in [0, 1)
+   */
+  static createSeededRandom(seed) {
+    let state = DiceEngine.normalizeSeed(seed);
+    return function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+  }
+
+  /**
+   * Reduce a numeric or text seed to a 32-bit integer
+   * @param {number|string} seed - Seed value
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+    if (typeof seed !== 'string' || seed === '') {
+      throw new Error(`Invalid seed '${seed}': use a number or a non-empty string`);
+    }
+
+    // FNV-1a hash so GMs can share memorable seeds such as "harvest-festival"
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Pick a fresh seed for a new reproducible session
+   * @returns {number} Random seed between 0 and 999999
+   */
+  static generateSeed() {
+    return Math.floor(DiceEngine.createSecureRandom()() * 1000000);
+  }
+
+  /**
+   * Create the default random source: Web Crypto / Node crypto, falling back to Math.random
+   * @returns {Function} Source returning a float in [0, 1)
+   */
+  static createSecureRandom() {
+    const cryptoApi = typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.getRandomValues
+      ? globalThis.crypto
+      : (typeof require !== 'undefined' ? require('crypto').webcrypto : null);
+
+    if (!cryptoApi || !cryptoApi.getRandomValues) {
+      return Math.random;
+    }
+
+    // Draw random words in batches; one getRandomValues call per die is needlessly slow
+    const buffer = new Uint32Array(256);
+    let position = buffer.length;
+    return function() {
+      if (position >= buffer.length) {
+        cryptoApi.getRandomValues(buffer);
+        position = 0;
+      }
+      return buffer[position++] / 0x100000000;
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiceEngine;
+}
+
+// Global namespace for browser use
+if (typeof window !== 'undefined') {
+  window.DiceEngine = DiceEngine;
+}
@@ -18,6 +18,7 @@ const CharacterGenerationTables = {
       description: "Different methods for generating character ability scores",
       diceExpression: "1d6",
       category: "character-generation",
+      inlineDice: false, // dice in these results are rules text, not quantities to roll
       results: [
         { range: [1, 1], result: "4d6 drop lowest", description: "Roll 4d6, drop the lowest die" },
         { range: [2, 2], result: "3d6 straight", description: "Roll 3d6 for each ability in order" },
@@ -0,0 +1,147 @@
+/**
+ * Generator Recipes
+ * Declarative generators that combine random tables into NPCs, locations and adventures
+ *
+ * Each recipe maps output fields to steps, run in order:
+ *   "table-id"                                        roll the table, value is the rendered text
+ *   { table: "table-id", value: "description" }      value: text (default), result, description or roll
+ *   { from: "name", value: "description" }           read another value from an earlier field's roll
+ *   { by: "environment", tables: { ... }, default }  pick the table from the context or an earlier field
+ *   { recipe: "npc" }                                run a nested recipe, value is its field set
+ * Any step may add optional: true (failures give null), chance: 0.25 (run on that share of runs)
+ * or when: { ... } (run only when the context and earlier fields match, as for table conditions).
+ * Table steps may add tags: "tone:grim" (roll only rows with matching tags, see parseTagFilter).
+ * The built-in recipes name tables as "module/table-id" so a module that reuses a built-in ID
+ * cannot make them ambiguous.
+ *
+ * @version 2.0
+ * @date September 20, 2025
+ * @location code-repository/tables/generator-recipes.js
+ */
+
+const GeneratorRecipes = {
+  description: "Built-in generators for the random tables registry",
+
+  recipes: {
+    "npc": {
+      id: "npc",
+      name: "NPC",
+      description: "A named NPC with a motivation, occupation, secret and quirk",
+      fields: {
+        name: "npcs/npc-names",
+        description: { from: "name", value: "description" },
+        motivation: "npcs/npc-motivations",
+        occupation: "npcs/npc-occupations",
+        secret: "npcs/npc-secrets",
+        quirk: "characterGeneration/character-quirks"
+      }
+    },
+
+    "location": {
+      id: "location",
+      name: "Settlement Location",
+      description: "A tavern, a shop and a notable feature for a settlement",
+      fields: {
+        tavern: "locations/tavern-names",
+        shop: "locations/shop-names",
+        notableFeature: "locations/settlement-features"
+      }
+    },
+
+    "adventure": {
+      id: "adventure",
+      name: "Adventure",
+      description: "Hook, complication, objective and twist for an adventure",
+      fields: {
+        hook: "plotDevelopment/adventure-hooks",
+        complication: "plotDevelopment/complications",
+        objective: "plotDevelopment/quest-objectives",
+        twist: "plotDevelopment/story-twists"
+      }
+    },
+
+    "adventure-setup": {
+      id: "adventure-setup",
+      name: "Adventure Setup",
+      description: "Plot hook, complication, weather and starting tavern for a session",
+      fields: {
+        plotHook: "plotDevelopment/adventure-hooks",
+        complication: "plotDevelopment/complications",
+        weather: "environment/weather-conditions",
+        weatherDescription: { from: "weather", value: "description" },
+        startingLocation: "locations/tavern-names"
+      }
+    },
+
+    "encounter": {
+      id: "encounter",
+      name: "Encounter",
+      description: "An encounter for the context's environment with a complication and the weather",
+      fields: {
+        encounter: {
+          by: "environment",
+          tables: {
+            forest: "encounters/forest-encounters",
+            urban: "encounters/urban-encounters",
+            mountain: "encounters/mountain-encounters",
+            swamp: "encounters/swamp-encounters"
+          },
+          default: "encounters/forest-encounters"
+        },
+        encounterDescription: { from: "encounter", value: "description" },
+        complication: "plotDevelopment/complications",
+        weather: "environment/weather-conditions"
+      }
+    },
+
+    "treasure": {
+      id: "treasure",
+      name: "Minor Treasure",
+      description: "Mundane treasure and a minor magic item",
+      fields: {
+        mundane: "treasure/mundane-treasure",
+        magic: { table: "treasure/magic-items-minor", value: "result" },
+        magicDescription: { from: "magic", value: "description" }
+      }
+    },
+
+    "character-traits": {
+      id: "character-traits",
+      name: "Character Traits",
+      description: "Ability score method and a quirk for a new character",
+      fields: {
+        abilityMethod: "characterGeneration/ability-score-generation",
+        abilityDescription: { from: "abilityMethod", value: "description" },
+        quirk: "characterGeneration/character-quirks"
+      }
+    },
+
+    "session": {
+      id: "session",
+      name: "Complete Session",
+      description: "Adventure setup, key NPC, encounter and treasure for one session",
+      fields: {
+        adventure: { recipe: "adventure-setup" },
+        keyNPC: { recipe: "npc" },
+        encounter: { recipe: "encounter" },
+        treasure: { recipe: "treasure" },
+        twist: { table: "plotDevelopment/plot-twist", chance: 0.5 }
+      }
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GeneratorRecipes;
+}
+
+// Global namespace for browser use
+if (typeof window !== 'undefined') {
+  window.GeneratorRecipes = GeneratorRecipes;
+  
+  // Load the recipes into the tables registry when it was loaded first
+  if (window.RandomTablesData && typeof window.RandomTablesData.init === 'function') {
+    window.RandomTablesData.init();
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * Legacy Migration
+ * Moves v1.1 table data (random-tables-data-legacy.js) onto the v2 modular registry
+ *
+ * Table data is versioned by its "version" field: v1.1 is one object holding every table, v2.0 is
+ * the registry built from modules. migrations["1.1"] turns v1.1 data into v2 modules, placing each
+ * table in the module that already has its ID or category. createMergeReport() lists, table by
+ * table, how the v1.1 data differs from the registry, and createShim() gives old code the v1.1 API
+ * backed by the registry.
+ *
+ * @version 2.0
+ * @date September 20, 2025
+ * @location code-repository/tables/legacy-migration.js
+ */
+
+const LegacyMigration = {
+  // Schema version the registry uses
+  currentVersion: "2.0",
+
+  // Upgrades from an older schema version to the next one
+  migrations: {
+    // v1.1: { version, categories, tables: { id: table } } -> { version: "2.0", modules }
+    "1.1": function(data, registry) {
+      const categoryModules = {};
+      Object.keys(registry.tables).forEach(key => {
+        const category = registry.tables[key].category;
+        if (!categoryModules[category]) categoryModules[category] = registry.tableModules[key];
+      });
+
+      const modules = {};
+      Object.values(data.tables).forEach(table => {
+        const moduleName = registry.tableModules[table.id] || categoryModules[table.category] || 'legacy';
+        if (!modules[moduleName]) {
+          const existing = registry.modules[moduleName];
+          modules[moduleName] = {
+            category: existing ? existing.category : 'legacy',
+            description: existing ? existing.description : "Tables migrated from the v1.1 data file",
+            tables: {}
+          };
+        }
+        modules[moduleName].tables[table.id] = JSON.parse(JSON.stringify(table));
+      });
+      return { version: "2.0", migratedFrom: data.version || "1.1", modules: modules };
+    }
+  },
+
+  // Schema version of some table data: "1.1" for the legacy data file (or an object shaped like it),
+  // "2.0" for the registry or a table module, null when it is neither
+  detectSchemaVersion: function(data) {
+    if (!data || typeof data !== 'object') return null;
+    if (data.version === "1.1") return "1.1";
+    if (data.modules && data.tableModules) return "2.0";
+    if (data.tables && typeof data.tables === 'object' && !Array.isArray(data.tables)) {
+      const tables = Object.values(data.tables);
+      const ranged = tables.length > 0 && tables.every(table =>
+        table && Array.isArray(table.results) && table.results.every(result => result && Array.isArray(result.range))
+      );
+      if (data.version === "2.0" || data.category !== undefined) return "2.0";
+      return ranged ? "1.1" : null;
+    }
+    return null;
+  },
+
+  isLegacyData: function(data) {
+    return this.detectSchemaVersion(data) === "1.1";
+  },
+
+  // Run the migrations from the data's version up to currentVersion
+  migrate: function(data, registry) {
+    let version = this.detectSchemaVersion(data);
+    if (!version) {
+      throw new Error("Unrecognised table data: expected the v1.1 data file or v2 modules");
+    }
+    let migrated = data;
+    while (version !== this.currentVersion) {
+      const migration = this.migrations[version];
+      if (!migration) {
+        throw new Error(`No migration from table data version ${version}`);
+      }
+      migrated = migration.call(this, migrated, registry);
+      version = migrated.version;
+    }
+    return migrated;
+  },
+
+  // The v1.1 data file: window.LegacyRandomTablesData in the browser, required in Node
+  loadLegacyData: function() {
+    if (typeof window !== 'undefined' && window.LegacyRandomTablesData) {
+      return window.LegacyRandomTablesData;
+    } else if (typeof require !== 'undefined') {
+      return require('./random-tables-data-legacy.js');
+    }
+    throw new Error("Legacy data is not loaded; include tables/random-tables-data-legacy.js");
+  },
+
+  // Chance of each row of a ranged table (every registry table has ranges) on its dice expression
+  rowOdds: function(table, engine) {
+    const odds = table.results.map(() => 0);
+    engine.getDistribution(table.diceExpression).outcomes.forEach(outcome => {
+      const index = table.results.findIndex(result =>
+        result.range && outcome.value >= result.range[0] && outcome.value <= result.range[1]
+      );
+      odds[index === -1 ? odds.length - 1 : index] += outcome.probability;
+    });
+    return odds;
+  },
+
+  // Differences between a v1.1 table and the registry's table with the same ID. Rows are matched by
+  // their result text, so moved or re-ranged rows are compared by their chance of coming up.
+  // Returns [{ type, field, result, legacy, current, message }] with type one of field, dice, odds,
+  // row-added, row-removed or row-field.
+  diffTable: function(legacyTable, currentTable, engine) {
+    const changes = [];
+    ['name', 'description', 'category'].forEach(field => {
+      if (legacyTable[field] !== currentTable[field]) {
+        changes.push({ type: 'field', field: field, legacy: legacyTable[field], current: currentTable[field],
+          message: `${field} changed from '${legacyTable[field]}' to '${currentTable[field]}'` });
+      }
+    });
+    if (legacyTable.diceExpression !== currentTable.diceExpression) {
+      changes.push({ type: 'dice', field: 'diceExpression', legacy: legacyTable.diceExpression, current: currentTable.diceExpression,
+        message: `Dice changed from ${legacyTable.diceExpression} to ${currentTable.diceExpression}` });
+    }
+
+    const legacyOdds = this.rowOdds(legacyTable, engine);
+    const currentOdds = this.rowOdds(currentTable, engine);
+    const unmatched = currentTable.results.map((result, index) => index);
+    const percent = probability => `${(probability * 100).toFixed(1)}%`;
+
+    legacyTable.results.forEach((legacyRow, legacyIndex) => {
+      const position = unmatched.findIndex(index => currentTable.results[index].result === legacyRow.result);
+      if (position === -1) {
+        changes.push({ type: 'row-removed', result: legacyRow.result, legacy: legacyRow, current: null,
+          message: `'${legacyRow.result}' is no longer in the table` });
+        return;
+      }
+      const currentIndex = unmatched.splice(position, 1)[0];
+      const currentRow = currentTable.results[currentIndex];
+      if (Math.abs(legacyOdds[legacyIndex] - currentOdds[currentIndex]) > 1e-9) {
+        changes.push({ type: 'odds', result: legacyRow.result, legacy: legacyOdds[legacyIndex], current: currentOdds[currentIndex],
+          message: `'${legacyRow.result}' comes up ${percent(currentOdds[currentIndex])} of the time instead of ${percent(legacyOdds[legacyIndex])}` });
+      }
+      // Fields either side has, apart from the range and weight the odds already cover
+      Object.keys(Object.assign({}, legacyRow, currentRow)).forEach(field => {
+        if (field === 'range' || field === 'weight' || field === 'result') return;
+        if (JSON.stringify(legacyRow[field]) !== JSON.stringify(currentRow[field])) {
+          let message = `'${legacyRow.result}': ${field} changed`;
+          if (legacyRow[field] === undefined) message = `'${legacyRow.result}': ${field} added`;
+          if (currentRow[field] === undefined) message = `'${legacyRow.result}': ${field} removed`;
+          changes.push({ type: 'row-field', field: field, result: legacyRow.result, legacy: legacyRow[field], current: currentRow[field],
+            message: message });
+        }
+      });
+    });
+    unmatched.forEach(index => {
+      changes.push({ type: 'row-added', result: currentTable.results[index].result, legacy: null, current: currentTable.results[index],
+        message: `'${currentTable.results[index].result}' was added` });
+    });
+    return changes;
+  },
+
+  // Compare v1.1 data with the registry, table by table. Each table's status is
+  //   identical   - same fields, rows and dice
+  //   equivalent  - only the dice expression differs; every row keeps its chance (e.g. 1d100 in
+  //                 steps of 5 written as a 1d20 list)
+  //   changed     - rows, chances or fields differ; keep the registry's version or re-import the legacy one
+  //   legacy-only - not in the registry; migrate() places it in a module
+  // Returns { schemaVersion, targetVersion, tables: [{ tableId, status, module, changes }],
+  // currentOnly: [tableIds], summary: { identical, equivalent, changed, legacyOnly, currentOnly } }
+  createMergeReport: function(data, registry) {
+    const version = this.detectSchemaVersion(data);
+    if (version !== "1.1") {
+      throw new Error(`Expected v1.1 table data, found ${version ? `version ${version}` : 'unrecognised data'}`);
+    }
+    const migrated = this.migrate(data, registry);
+    const engine = registry.getDiceEngine();
+    const report = {
+      schemaVersion: version,
+      targetVersion: this.currentVersion,
+      tables: [],
+      currentOnly: [],
+      summary: { identical: 0, equivalent: 0, changed: 0, legacyOnly: 0, currentOnly: 0 }
+    };
+
+    Object.keys(migrated.modules).forEach(moduleName => {
+      Object.values(migrated.modules[moduleName].tables).forEach(legacyTable => {
+        const current = registry.qualifiedTables[`${moduleName}/${legacyTable.id}`];
+        let status = 'legacy-only';
+        let changes = [];
+        if (current) {
+          changes = this.diffTable(registry.normalizeTable(legacyTable), current, engine);
+          if (changes.length === 0) {
+            status = 'identical';
+          } else {
+            status = changes.every(change => change.type === 'dice') ? 'equivalent' : 'changed';
+          }
+        }
+        report.tables.push({ tableId: legacyTable.id, status: status, module: moduleName, changes: changes });
+      });
+    });
+
+    const legacyIds = Object.keys(data.tables);
+    Object.keys(registry.tables).forEach(key => {
+      if (legacyIds.indexOf(registry.tables[key].id) === -1) report.currentOnly.push(key);
+    });
+
+    report.tables.forEach(table => {
+      const key = table.status === 'legacy-only' ? 'legacyOnly' : table.status;
+      report.summary[key]++;
+    });
+    report.summary.currentOnly = report.currentOnly.length;
+    return report;
+  },
+
+  // The v1.1 API on top of a v2 registry, for code written against the legacy object. Rolls return
+  // the v1.1 shape { tableId, tableName, diceExpression, roll, rollData, result, timestamp }.
+  createShim: function(registry) {
+    return {
+      version: "1.1",
+      created: registry.created,
+      description: registry.description,
+      get categories() {
+        return registry.categories;
+      },
+      get tables() {
+        return registry.tables;
+      },
+
+      setDiceEngine: function(diceEngine) {
+        registry.setDiceEngine(diceEngine);
+        return this;
+      },
+
+      getDiceEngine: function() {
+        return registry.getDiceEngine();
+      },
+
+      rollTable: function(tableId, customDice = null) {
+        return this.rollWithDiceEngine(this.getDiceEngine(), tableId, customDice);
+      },
+
+      getTable: function(tableId) {
+        return registry.getTable(tableId);
+      },
+
+      getTablesByCategory: function(category) {
+        return registry.getTablesByCategory(category);
+      },
+
+      getAllCategories: function() {
+        return registry.getAllCategories();
+      },
+
+      searchTables: function(query) {
+        return registry.searchTables(query);
+      },
+
+      rollWithDiceEngine: function(diceEngine, tableId, customDice = null) {
+        const roll = registry.rollWithDiceEngine(diceEngine || registry.getDiceEngine(), tableId, customDice);
+        return {
+          tableId: roll.tableId,
+          tableName: roll.tableName,
+          diceExpression: roll.diceExpression,
+          roll: roll.roll,
+          rollData: roll.rollData,
+          result: roll.result,
+          timestamp: roll.timestamp
+        };
+      },
+
+      validateTable: function(tableId) {
+        const validation = registry.validateTable(tableId);
+        return { valid: validation.valid, errors: validation.errors };
+      },
+
+      exportTables: function(format = 'json') {
+        return registry.exportTables(format);
+      }
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LegacyMigration;
+}
+
+// Global namespace for browser use
+if (typeof window !== 'undefined') {
+  window.LegacyMigration = LegacyMigration;
+}
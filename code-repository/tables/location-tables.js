@@ -16,29 +16,29 @@ const LocationTables = {
       id: "tavern-names",
       name: "Tavern Names",
       description: "Random names for taverns, inns, and drinking establishments",
-      diceExpression: "1d100",
       category: "locations",
+      // Unweighted list: every name is equally likely, rolled on 1d20
       results: [
-        { range: [1, 5], result: "The Prancing Pony" },
-        { range: [6, 10], result: "The Golden Griffin" },
-        { range: [11, 15], result: "The Rusty Anchor" },
-        { range: [16, 20], result: "The Dancing Dragon" },
-        { range: [21, 25], result: "The Silver Stag" },
-        { range: [26, 30], result: "The Broken Wheel" },
-        { range: [31, 35], result: "The Laughing Maiden" },
-        { range: [36, 40], result: "The Weary Traveler" },
-        { range: [41, 45], result: "The Black Boar" },
-        { range: [46, 50], result: "The Crooked Crown" },
-        { range: [51, 55], result: "The Drunken Dwarf" },
-        { range: [56, 60], result: "The Red Rose Inn" },
-        { range: [61, 65], result: "The Howling Wolf" },
-        { range: [66, 70], result: "The Green Goblet" },
-        { range: [71, 75], result: "The Sleeping Giant" },
-        { range: [76, 80], result: "The Mermaid's Rest" },
-        { range: [81, 85], result: "The Copper Cauldron" },
-        { range: [86, 90], result: "The Wanderer's Welcome" },
-        { range: [91, 95], result: "The Moonlit Manor" },
-        { range: [96, 100], result: "The Dragon's Den" }
+        "The Prancing Pony",
+        "The Golden Griffin",
+        "The Rusty Anchor",
+        "The Dancing Dragon",
+        "The Silver Stag",
+        "The Broken Wheel",
+        "The Laughing Maiden",
+        "The Weary Traveler",
+        "The Black Boar",
+        "The Crooked Crown",
+        "The Drunken Dwarf",
+        "The Red Rose Inn",
+        "The Howling Wolf",
+        "The Green Goblet",
+        "The Sleeping Giant",
+        "The Mermaid's Rest",
+        "The Copper Cauldron",
+        "The Wanderer's Welcome",
+        "The Moonlit Manor",
+        "The Dragon's Den"
       ]
     },
 
@@ -50,7 +50,7 @@ const LocationTables = {
       category: "locations",
       results: [
         { range: [1, 2], result: "Empty room with strange echoes" },
-        { range: [3, 4], result: "Monster lair with treasure hoard" },
+        { range: [3, 4], result: "Monster lair with treasure hoard", roll: "mundane-treasure" },
         { range: [5, 6], result: "Trapped corridor with pressure plates" },
         { range: [7, 8], result: "Ancient library with crumbling books" },
         { range: [9, 10], result: "Flooded chamber with murky water" },
@@ -17,12 +17,16 @@
  * const result = RandomTablesData.rollTable('tavern-names');
  * const customRoll = RandomTablesData.rollCustomTable('encounters-forest', '1d20');
  * 
+ * Superseded by random-tables-index.js. In the browser this object is window.LegacyRandomTablesData
+ * and only becomes window.RandomTablesData when the v2 registry is not loaded; legacy-migration.js
+ * compares it with the registry and provides the same API on top of the registry.
+ * 
  * @version 1.1
  * @date September 20, 2025
- * @location code-repository/tables/random-tables-data.js
+ * @location code-repository/tables/random-tables-data-legacy.js
  */
 
-const RandomTablesData = {
+const LegacyRandomTablesData = {
   // Metadata
   version: "1.1",
   created: "2025-09-20",
@@ -378,26 +382,33 @@ const RandomTablesData = {
     }
   },
 
+  // Dice engine used when a caller does not supply one (see setDiceEngine)
+  diceEngine: null,
+
+  // Replace the registry-wide dice engine, e.g. with a seeded or instrumented one
+  setDiceEngine: function(diceEngine) {
+    this.diceEngine = diceEngine;
+    return this;
+  },
+
+  // Get the registry-wide dice engine, creating a default DiceEngine on first use
+  getDiceEngine: function() {
+    if (!this.diceEngine) {
+      if (typeof DiceEngine !== 'undefined') {
+        this.diceEngine = new DiceEngine();
+      } else if (typeof require !== 'undefined') {
+        const NodeDiceEngine = require('../src/dice/dice-engine.js');
+        this.diceEngine = new NodeDiceEngine();
+      } else {
+        throw new Error("DiceEngine is not loaded; include src/dice/dice-engine.js or call setDiceEngine()");
+      }
+    }
+    return this.diceEngine;
+  },
+
   // Utility Functions for Rolling Tables
   rollTable: function(tableId, customDice = null) {
-    const table = this.tables[tableId];
-    if (!table) {
-      throw new Error(`Table with ID '${tableId}' not found`);
-    }
-    
-    // Use custom dice expression or table's default
-    const diceExpression = customDice || table.diceExpression;
-    
-    // This would integrate with the DiceEngine when implemented
-    // For now, return a mock result structure
-    return {
-      tableId: tableId,
-      tableName: table.name,
-      diceExpression: diceExpression,
-      roll: null, // Would be filled by DiceEngine
-      result: table.results[0], // Placeholder - would be determined by roll
-      timestamp: new Date()
-    };
+    return this.rollWithDiceEngine(this.getDiceEngine(), tableId, customDice);
   },
 
   getTable: function(tableId) {
@@ -429,7 +440,7 @@ const RandomTablesData = {
     }
     
     const diceExpression = customDice || table.diceExpression;
-    const rollResult = diceEngine.rollExpression(diceExpression);
+    const rollResult = (diceEngine || this.getDiceEngine()).rollExpression(diceExpression);
     
     // Find the appropriate result based on roll
     const matchingResult = table.results.find(result => {
@@ -441,6 +452,7 @@ const RandomTablesData = {
       tableId: tableId,
       tableName: table.name,
       diceExpression: diceExpression,
+      roll: rollResult.total,
       rollData: rollResult,
       result: matchingResult || table.results[table.results.length - 1],
       timestamp: new Date()
@@ -501,10 +513,13 @@ const RandomTablesData = {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = RandomTablesData;
+  module.exports = LegacyRandomTablesData;
 }
 
-// Global namespace for browser use
+// Global namespace for browser use; the v2 registry keeps window.RandomTablesData when it is loaded
 if (typeof window !== 'undefined') {
-  window.RandomTablesData = RandomTablesData;
+  window.LegacyRandomTablesData = LegacyRandomTablesData;
+  if (!window.RandomTablesData || window.RandomTablesData.version === "1.1") {
+    window.RandomTablesData = LegacyRandomTablesData;
+  }
 }
\ No newline at end of file
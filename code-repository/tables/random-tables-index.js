@@ -10,16 +10,23 @@
  * @location code-repository/tables/random-tables-index.js
  */
 
-// Import all table modules (in Node.js environment)
-if (typeof require !== 'undefined') {
-  var CharacterGenerationTables = require('./character-generation-tables.js');
-  var LocationTables = require('./location-tables.js');
-  var EncounterTables = require('./encounter-tables.js');
-  var NPCTables = require('./npc-tables.js');
-  var TreasureTables = require('./treasure-tables.js');
-  var EnvironmentTables = require('./environment-tables.js');
-  var PlotDevelopmentTables = require('./plot-development-tables.js');
-}
+// Table modules in the Node.js environment, required the first time the registry needs their tables.
+// In the browser each module's own script defines it; the registry finds modules already on the page
+// and watches the globals of later ones (see watchModuleGlobals), so nothing here redeclares them.
+const BuiltInTableSources = typeof module !== 'undefined' && module.exports && typeof require !== 'undefined'
+  ? {
+    modules: {
+      characterGeneration: () => require('./character-generation-tables.js'),
+      locations: () => require('./location-tables.js'),
+      encounters: () => require('./encounter-tables.js'),
+      npcs: () => require('./npc-tables.js'),
+      treasure: () => require('./treasure-tables.js'),
+      environment: () => require('./environment-tables.js'),
+      plotDevelopment: () => require('./plot-development-tables.js')
+    },
+    recipes: require('./generator-recipes.js')
+  }
+  : null;
 
 const RandomTablesData = {
   // Metadata
@@ -27,78 +34,602 @@ const RandomTablesData = {
   created: "2025-09-20",
   description: "Comprehensive modular random tables for D&D and RPG gaming",
   
-  // Table Categories
-  categories: [
-    "character-generation",
-    "locations", 
-    "encounters",
-    "treasure",
-    "npcs",
-    "events",
-    "weather",
-    "atmosphere",
-    "names",
-    "plot-hooks",
-    "complications",
-    "items"
-  ],
+  // Registered modules by name: table modules, or loader functions that return one (see registerModule).
+  // The built-in modules are registered on load.
+  moduleSources: {},
+
+  // Registered modules by name, loading any that are still pending
+  get modules() {
+    this.loadModules();
+    return this.moduleSources;
+  },
+  set modules(modules) {
+    this.moduleSources = modules;
+  },
+
+  // Global names of the built-in modules in the browser and the module names they register under
+  builtInModuleGlobals: {
+    CharacterGenerationTables: "characterGeneration",
+    LocationTables: "locations",
+    EncounterTables: "encounters",
+    NPCTables: "npcs",
+    TreasureTables: "treasure",
+    EnvironmentTables: "environment",
+    PlotDevelopmentTables: "plotDevelopment"
+  },
+
+  // Event listeners by event name (see on)
+  listeners: {},
+
+  // Tables and indexes built by init() from the loaded modules:
+  //   tables          combined tables keyed by table ID. IDs defined by more than one module are only
+  //                   stored under their module-qualified form, e.g. "npcs/npc-names"
+  //   qualifiedTables every table under its module-qualified ID ("moduleName/tableId")
+  //   tableModules    module name for each key in `tables`
+  //   conflicts       table IDs defined by more than one module
+  //   categories      every module's category followed by its tables' categories
+  //   schemaErrors    schema problems found in the modules (see validateModuleSchema)
+  //   byCategory      tables by category: their own and their module's
+  //   search          trigram index for searchTables, built on the first search
+  //   textSearch      word index of table and row text for search(), built on its first call
+  //   tags            parsed tags of every table and row, built on the first tag query
+  //   lookups         compiled roll-to-row lookups by table, built on each table's first roll
+  //   statistics      getStatistics() result, built on the first call
+  // Read them through the properties below, which load pending modules first.
+  index: null,
+
+  // Names of registered modules whose loader has not run yet
+  pendingModules: [],
+
+  // Errors of loaders that threw or returned no table module, by module name (see loadModules)
+  moduleErrors: {},
 
-  // Module references
-  modules: {
-    characterGeneration: CharacterGenerationTables,
-    locations: LocationTables,
-    encounters: EncounterTables,
-    npcs: NPCTables,
-    treasure: TreasureTables,
-    environment: EnvironmentTables,
-    plotDevelopment: PlotDevelopmentTables
+  // Options of the last init(), used again when pending modules load
+  initOptions: {},
+
+  get tables() {
+    return this.getIndex().tables;
+  },
+
+  get qualifiedTables() {
+    return this.getIndex().qualifiedTables;
   },
 
-  // Combined tables from all modules
-  tables: {},
+  get tableModules() {
+    return this.getIndex().tableModules;
+  },
 
-  // Initialize by combining all module tables
-  init: function() {
-    this.tables = {};
+  get conflicts() {
+    return this.getIndex().conflicts;
+  },
+
+  get categories() {
+    return this.getIndex().categories;
+  },
+
+  get schemaErrors() {
+    return this.getIndex().schemaErrors;
+  },
+
+  // Generator recipes by ID: the built-ins from generator-recipes.js plus any registerRecipe() adds
+  recipes: {},
+
+  // Initialize by combining all loaded module tables; modules registered as loaders stay pending until
+  // their tables are first needed (see loadModules).
+  // options.onConflict: 'warn' (default) logs ID collisions, 'error' throws, 'ignore' stays silent.
+  init: function(options = {}) {
+    const index = {
+      tables: {},
+      qualifiedTables: {},
+      tableModules: {},
+      conflicts: [],
+      categories: [],
+      schemaErrors: [],
+      byCategory: {},
+      search: null,
+      textSearch: null,
+      tags: null,
+      lookups: new WeakMap(),
+      statistics: null
+    };
+    const pending = [];
+    const loaded = {};
+    Object.keys(this.moduleSources).forEach(moduleName => {
+      const source = this.moduleSources[moduleName];
+      if (typeof source === 'function') {
+        pending.push(moduleName);
+      } else if (source) {
+        loaded[moduleName] = source;
+      }
+    });
+    index.categories = this.deriveCategories(loaded);
     
-    // Combine tables from all modules
-    Object.values(this.modules).forEach(module => {
-      if (module && module.tables) {
-        Object.assign(this.tables, module.tables);
+    // Check every module against the table schema (see table-schema.js)
+    Object.keys(loaded).forEach(moduleName => {
+      this.validateModuleSchema(loaded[moduleName]).errors.forEach(error => {
+        index.schemaErrors.push(Object.assign({ module: moduleName }, error));
+      });
+    });
+    if (index.schemaErrors.length > 0 && options.onSchemaError !== 'ignore') {
+      const message = 'Table modules do not match the schema: ' + index.schemaErrors
+        .map(error => `${error.module}${error.pointer} ${error.message}`)
+        .join('; ');
+      if (options.onSchemaError === 'error') {
+        throw new Error(message);
+      }
+      console.warn(message);
+    }
+    
+    // Collect which modules define each table ID
+    const owners = {};
+    Object.keys(loaded).forEach(moduleName => {
+      const module = loaded[moduleName];
+      if (module.tables) {
+        Object.keys(module.tables).forEach(tableId => {
+          (owners[tableId] = owners[tableId] || []).push(moduleName);
+          index.qualifiedTables[`${moduleName}/${tableId}`] = this.normalizeTable(module.tables[tableId]);
+        });
       }
     });
     
+    // Combine tables from all modules; colliding IDs are kept apart under their qualified IDs
+    Object.keys(owners).forEach(tableId => {
+      const moduleNames = owners[tableId];
+      if (moduleNames.length === 1) {
+        index.tables[tableId] = index.qualifiedTables[`${moduleNames[0]}/${tableId}`];
+        index.tableModules[tableId] = moduleNames[0];
+        return;
+      }
+      
+      const qualifiedIds = moduleNames.map(moduleName => `${moduleName}/${tableId}`);
+      qualifiedIds.forEach((qualifiedId, position) => {
+        index.tables[qualifiedId] = index.qualifiedTables[qualifiedId];
+        index.tableModules[qualifiedId] = moduleNames[position];
+      });
+      index.conflicts.push({ tableId: tableId, modules: moduleNames, qualifiedIds: qualifiedIds });
+    });
+    
+    if (index.conflicts.length > 0 && options.onConflict !== 'ignore') {
+      const message = 'Table ID collisions between modules: ' + index.conflicts
+        .map(conflict => `'${conflict.tableId}' (${conflict.qualifiedIds.join(', ')})`)
+        .join('; ');
+      if (options.onConflict === 'error') {
+        throw new Error(message);
+      }
+      console.warn(`${message}. Use the module-qualified IDs to roll these tables.`);
+    }
+    
+    Object.keys(index.tables).forEach(key => {
+      const table = index.tables[key];
+      const module = loaded[index.tableModules[key]];
+      [table.category].concat(module && module.category !== table.category ? [module.category] : []).forEach(category => {
+        if (category) (index.byCategory[category] = index.byCategory[category] || []).push(table);
+      });
+    });
+    
+    this.index = index;
+    this.pendingModules = pending;
+    this.initOptions = options;
+    
+    // Built-in recipes never replace ones registered under the same ID
+    const builtInRecipes = this.getBuiltInRecipes();
+    if (builtInRecipes && builtInRecipes.recipes) {
+      Object.keys(builtInRecipes.recipes).forEach(recipeId => {
+        if (!this.recipes[recipeId]) {
+          this.recipes[recipeId] = builtInRecipes.recipes[recipeId];
+        }
+      });
+    }
+    
     return this;
   },
 
-  // Utility Functions for Rolling Tables
-  rollTable: function(tableId, customDice = null) {
-    const table = this.tables[tableId];
-    if (!table) {
-      throw new Error(`Table with ID '${tableId}' not found`);
+  // The tables and indexes built by init(), after loading any pending modules
+  getIndex: function() {
+    if (!this.index || this.pendingModules.length > 0) {
+      this.loadModules();
+    }
+    return this.index;
+  },
+
+  // Run the loader of every pending module and rebuild the tables with them. Happens on first access
+  // to the tables; call it directly to load everything up front, e.g. to see schema warnings at startup.
+  // A loader that throws or returns no table module only drops its own module: the error is logged,
+  // kept in moduleErrors and sent with 'module-error', and the other modules load as usual.
+  // Fires 'module-loaded' for each module loaded.
+  loadModules: function() {
+    if (this.index && this.pendingModules.length === 0) {
+      return this;
+    }
+    const loaded = [];
+    const failed = [];
+    this.pendingModules.forEach(moduleName => {
+      const loader = this.moduleSources[moduleName];
+      if (typeof loader !== 'function') return;
+      try {
+        const module = loader.call(this, moduleName);
+        if (!this.isTableModule(module)) {
+          throw new Error(`Loader for module '${moduleName}' did not return a table module`);
+        }
+        this.moduleSources[moduleName] = module;
+        loaded.push(moduleName);
+      } catch (error) {
+        delete this.moduleSources[moduleName];
+        this.moduleErrors[moduleName] = error;
+        failed.push({ name: moduleName, error: error });
+        console.warn(`Module '${moduleName}' failed to load and was dropped:`, error.message);
+      }
+    });
+    this.init(this.initOptions);
+    loaded.forEach(moduleName => this.emit('module-loaded', { name: moduleName, module: this.moduleSources[moduleName] }));
+    failed.forEach(failure => this.emit('module-error', failure));
+    return this;
+  },
+
+  // Categories of the given modules (by name), each module's own category first and then those of its tables
+  deriveCategories: function(modules) {
+    const categories = [];
+    const add = category => {
+      if (category && categories.indexOf(category) === -1) categories.push(category);
+    };
+    Object.keys(modules).forEach(moduleName => {
+      const module = modules[moduleName];
+      if (!module) return;
+      add(module.category);
+      Object.values(module.tables || {}).forEach(table => add(table && table.category));
+    });
+    return categories;
+  },
+
+  // Register a table module under a name, or replace one with options.replace, and rebuild the tables.
+  // `module` may instead be a loader function returning the module, called with the name the first time
+  // the tables are needed (see loadModules). Other options are passed to init(); when init throws
+  // (onConflict or onSchemaError 'error') the registry is left as it was. Fires 'module-registered'
+  // and 'change'.
+  registerModule: function(name, module, options = {}) {
+    if (typeof name !== 'string' || !name || name.indexOf('/') !== -1) {
+      throw new Error("Module name must be a non-empty string without '/'");
+    }
+    if (typeof module !== 'function' && !this.isTableModule(module)) {
+      throw new Error(`Module '${name}' needs a tables object`);
+    }
+    const previous = this.moduleSources[name];
+    if (previous && previous !== module && !options.replace) {
+      throw new Error(`Module '${name}' is already registered; pass { replace: true } to replace it`);
     }
     
-    // Use custom dice expression or table's default
-    const diceExpression = customDice || table.diceExpression;
+    this.moduleSources[name] = module;
+    try {
+      this.init(options);
+    } catch (error) {
+      if (previous) {
+        this.moduleSources[name] = previous;
+      } else {
+        delete this.moduleSources[name];
+      }
+      this.init({ onConflict: 'ignore', onSchemaError: 'ignore' });
+      throw error;
+    }
     
-    // This would integrate with the DiceEngine when implemented
-    // For now, return a mock result structure
-    return {
-      tableId: tableId,
-      tableName: table.name,
-      diceExpression: diceExpression,
-      roll: null, // Would be filled by DiceEngine
-      result: table.results[0], // Placeholder - would be determined by roll
-      timestamp: new Date()
-    };
+    delete this.moduleErrors[name];
+    this.emit('module-registered', { name: name, module: module, replaced: Boolean(previous && previous !== module) });
+    this.emit('change', { registered: [name], unregistered: [] });
+    return this;
+  },
+
+  // Remove a module and its tables. Returns false when no module has that name.
+  // Fires 'module-unregistered' and 'change'.
+  unregisterModule: function(name) {
+    const module = this.moduleSources[name];
+    if (!module) {
+      return false;
+    }
+    delete this.moduleSources[name];
+    this.init({ onConflict: 'ignore' });
+    this.emit('module-unregistered', { name: name, module: module });
+    this.emit('change', { registered: [], unregistered: [name] });
+    return true;
+  },
+
+  // An object shaped like a table module (category, description and a tables map)
+  isTableModule: function(value) {
+    return Boolean(value && typeof value === 'object' && value.tables && typeof value.tables === 'object' &&
+      !Array.isArray(value.tables));
+  },
+
+  // Register every table module found on `scope` (default: window) under a global name ending in
+  // "Tables": the built-in names map to their usual module names, others drop the suffix
+  // ("HomebrewTables" -> "homebrew"). Names already in use are left alone. Returns the names registered.
+  discoverModules: function(scope = null) {
+    const source = scope || (typeof window !== 'undefined' ? window : null);
+    if (!source) {
+      return [];
+    }
+    const found = [];
+    Object.keys(source).forEach(key => {
+      if (!/Tables$/.test(key) || !this.isTableModule(source[key])) return;
+      const name = this.builtInModuleGlobals[key] ||
+        key.replace(/Tables$/, '').replace(/^[A-Z]+(?=[A-Z][a-z])|^[A-Z]+/, prefix => prefix.toLowerCase());
+      if (!name || this.moduleSources[name]) return;
+      this.moduleSources[name] = source[key];
+      found.push(name);
+    });
+    
+    if (found.length > 0) {
+      this.init();
+      found.forEach(name => this.emit('module-registered', { name: name, module: this.moduleSources[name], replaced: false }));
+      this.emit('change', { registered: found, unregistered: [] });
+    }
+    return found;
+  },
+
+  // Register each built-in module whose script loads after this one as soon as the script sets its
+  // global (window.NPCTables = ...), replacing any module of that name, so the data files only export
+  // their module. Globals already set are left to getBuiltInModules and discoverModules.
+  watchModuleGlobals: function(scope = null) {
+    const target = scope || (typeof window !== 'undefined' ? window : null);
+    if (!target) {
+      return;
+    }
+    Object.keys(this.builtInModuleGlobals).forEach(globalName => {
+      if (target[globalName] !== undefined) return;
+      let value;
+      Object.defineProperty(target, globalName, {
+        configurable: true,
+        enumerable: true,
+        get: () => value,
+        set: module => {
+          value = module;
+          if (this.isTableModule(module)) {
+            this.registerModule(this.builtInModuleGlobals[globalName], module, { replace: true });
+          }
+        }
+      });
+    });
+  },
+
+  // Listen for registry events:
+  //   'module-registered'   { name, module, replaced }   registerModule, discoverModules and importTables
+  //   'module-unregistered' { name, module }
+  //   'module-loaded'       { name, module }             a loader registered with registerModule ran
+  //   'module-error'        { name, error }              a loader failed and its module was dropped
+  //   'change'              { registered: [names], unregistered: [names] }   once per change
+  // Returns a function that removes the listener.
+  on: function(eventName, listener) {
+    (this.listeners[eventName] = this.listeners[eventName] || []).push(listener);
+    return () => this.off(eventName, listener);
+  },
+
+  off: function(eventName, listener) {
+    this.listeners[eventName] = (this.listeners[eventName] || []).filter(entry => entry !== listener);
+  },
+
+  // A throwing listener is logged so the others still run
+  emit: function(eventName, detail) {
+    (this.listeners[eventName] || []).slice().forEach(listener => {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`Error in '${eventName}' listener:`, error);
+      }
+    });
+  },
+
+  // The table's own `format` when it declares one. Otherwise 'weighted' when no row has a range
+  // (rows weighted by `weight`, plain strings making an unweighted list) and 'ranged' for the classic
+  // `range: [min, max]` rows; a row without a range on a ranged table is an error for validateTable.
+  getTableFormat: function(table) {
+    if (table && (table.format === 'weighted' || table.format === 'ranged')) return table.format;
+    if (!table || !Array.isArray(table.results)) return 'ranged';
+    const ranged = table.results.some(result => result && typeof result === 'object' && result.range !== undefined);
+    return ranged ? 'ranged' : 'weighted';
+  },
+
+  // Give a weighted or list table derived ranges over 1d<total weight>, so rolling it samples each row
+  // in proportion to its weight and the rest of the registry can treat it like a ranged table.
+  // The source definition is left untouched; rows keep their weight, and rows whose weight is not a
+  // positive integer get no range (validateTable reports them).
+  normalizeTable: function(table) {
+    if (this.getTableFormat(table) !== 'weighted') {
+      return table;
+    }
+    
+    let total = 0;
+    const results = table.results.map(entry => {
+      const row = typeof entry === 'string' ? { result: entry } : Object.assign({}, entry);
+      delete row.range;
+      if (row.weight === undefined) row.weight = 1;
+      if (Number.isInteger(row.weight) && row.weight > 0) {
+        row.range = [total + 1, total + row.weight];
+        total += row.weight;
+      }
+      return row;
+    });
+    
+    return Object.assign({}, table, {
+      format: 'weighted',
+      diceExpression: total > 0 ? `1d${total}` : null,
+      results: results
+    });
+  },
+
+  // Convert a table (ID or definition) to the weighted form. Each row's weight is the number of
+  // equally likely dice outcomes that land on it, reduced by their common divisor, so a 2d6 table
+  // keeps its bell curve. Totals no row covers count towards the last row, as they do when rolling;
+  // rows that can never be rolled are left out.
+  toWeightedTable: function(tableOrId) {
+    const table = this.normalizeTable(typeof tableOrId === 'string' ? this.requireTable(tableOrId) : tableOrId);
+    let results;
+    
+    if (table.format === 'weighted') {
+      results = table.results.map(result => {
+        const row = Object.assign({}, result);
+        delete row.range;
+        return row;
+      });
+    } else {
+      const engine = this.getDiceEngine();
+      let combinations = 1;
+      engine.parseExpression(table.diceExpression).terms.forEach(term => {
+        if (term.type !== 'dice') return;
+        if (term.explode) {
+          throw new Error(`Cannot convert '${table.id}' to weights: exploding dice have no finite set of outcomes`);
+        }
+        combinations *= Math.pow(term.sides, term.count);
+      });
+      if (combinations > Number.MAX_SAFE_INTEGER) {
+        throw new Error(`Cannot convert '${table.id}' to weights: ${table.diceExpression} has too many outcomes`);
+      }
+      
+      const counts = table.results.map(() => 0);
+      engine.getDistribution(table.diceExpression).outcomes.forEach(outcome => {
+        let index = table.results.findIndex(result =>
+          outcome.value >= result.range[0] && outcome.value <= result.range[1]
+        );
+        if (index === -1) index = table.results.length - 1;
+        counts[index] += Math.round(outcome.probability * combinations);
+      });
+      
+      const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+      const divisor = counts.reduce(gcd, 0) || 1;
+      results = [];
+      table.results.forEach((result, index) => {
+        if (counts[index] === 0) return;
+        const row = Object.assign({}, result, { weight: counts[index] / divisor });
+        delete row.range;
+        results.push(row);
+      });
+    }
+    
+    const converted = Object.assign({}, table, { results: results });
+    delete converted.diceExpression;
+    delete converted.format;
+    return converted;
+  },
+
+  // Convert a table (ID or definition) to the ranged form; weighted rows become consecutive
+  // ranges on 1d<total weight>. Ranged tables are returned as a copy.
+  toRangedTable: function(tableOrId) {
+    const table = this.normalizeTable(typeof tableOrId === 'string' ? this.requireTable(tableOrId) : tableOrId);
+    const results = table.results.map((result, index) => {
+      if (!result.range) {
+        throw new Error(`Cannot convert '${table.id}' to ranges: result ${index} has an invalid weight`);
+      }
+      const row = Object.assign({}, result);
+      delete row.weight;
+      return row;
+    });
+    
+    const converted = Object.assign({}, table, { results: results });
+    delete converted.format;
+    return converted;
+  },
+
+  // List table IDs that more than one module defines
+  getTableConflicts: function() {
+    return this.conflicts.map(conflict => Object.assign({}, conflict));
+  },
+
+  // Resolve a plain or module-qualified table ID to its key in `tables`.
+  // Returns null for unknown IDs; throws when a plain ID is defined by several modules.
+  resolveTableId: function(tableId) {
+    if (this.tables[tableId]) {
+      return tableId;
+    }
+    
+    const conflict = this.conflicts.find(entry => entry.tableId === tableId);
+    if (conflict) {
+      throw new Error(`Table ID '${tableId}' is ambiguous; use one of: ${conflict.qualifiedIds.join(', ')}`);
+    }
+    
+    const separator = tableId.indexOf('/');
+    if (separator !== -1 && this.qualifiedTables[tableId]) {
+      const plainId = tableId.slice(separator + 1);
+      return this.tables[plainId] ? plainId : tableId;
+    }
+    return null;
+  },
+
+  // Module-qualified ID ("moduleName/tableId") of a table
+  getQualifiedId: function(tableId) {
+    const key = this.resolveTableId(tableId);
+    if (!key) return null;
+    return key.indexOf('/') !== -1 ? key : `${this.tableModules[key]}/${key}`;
+  },
+
+  // Look up a table, throwing a descriptive error when it is missing or ambiguous
+  requireTable: function(tableId) {
+    const key = this.resolveTableId(tableId);
+    if (!key) {
+      throw new Error(`Table with ID '${tableId}' not found`);
+    }
+    return this.tables[key];
+  },
+
+  // Dice engine used when a caller does not supply one (see setDiceEngine)
+  diceEngine: null,
+
+  // Replace the registry-wide dice engine, e.g. with a seeded or instrumented one
+  setDiceEngine: function(diceEngine) {
+    this.diceEngine = diceEngine;
+    return this;
+  },
+
+  // Get the registry-wide dice engine, creating a default DiceEngine on first use
+  getDiceEngine: function() {
+    if (!this.diceEngine) {
+      this.diceEngine = this.createDiceEngine();
+    }
+    return this.diceEngine;
+  },
+
+  // Create a new DiceEngine; pass { seed } for a reproducible engine
+  createDiceEngine: function(options = {}) {
+    const Engine = this.loadHelper('DiceEngine', '../src/dice/dice-engine.js');
+    return new Engine(options);
+  },
+
+  // A script the registry builds on: its global when the page has loaded it, otherwise required in Node
+  // from `path` (relative to this file)
+  loadHelper: function(globalName, path) {
+    const scope = typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : {});
+    if (scope[globalName] !== undefined) {
+      return scope[globalName];
+    } else if (typeof require !== 'undefined') {
+      return require(path);
+    }
+    throw new Error(`${globalName} is not loaded; include ${path.replace(/^\.\//, 'tables/').replace(/^\.\.\//, '')}`);
+  },
+
+  // Run callback with a seeded engine as the registry engine, restoring the previous one afterwards.
+  // Everything rolled inside (rollTable, quickGenerators, usage examples) is reproducible from the seed.
+  withSeed: function(seed, callback) {
+    const previousEngine = this.diceEngine;
+    this.diceEngine = this.createDiceEngine({ seed: seed });
+    try {
+      return callback(this.diceEngine);
+    } finally {
+      this.diceEngine = previousEngine;
+    }
+  },
+
+  // Utility Functions for Rolling Tables (options as for rollWithDiceEngine)
+  rollTable: function(tableId, customDice = null, options = {}) {
+    return this.rollWithDiceEngine(this.getDiceEngine(), tableId, customDice, options);
   },
 
   getTable: function(tableId) {
-    return this.tables[tableId] || null;
+    try {
+      const key = this.resolveTableId(tableId);
+      return key ? this.tables[key] : null;
+    } catch (error) {
+      return null;
+    }
   },
 
+  // Tables with that category, or in a module with that category (e.g. 'plot-development')
   getTablesByCategory: function(category) {
-    return Object.values(this.tables).filter(table => table.category === category);
+    return (this.getIndex().byCategory[category] || []).slice();
   },
 
   getTablesByModule: function(moduleName) {
@@ -106,7 +637,9 @@ const RandomTablesData = {
     if (!module || !module.tables) {
       return [];
     }
-    return Object.values(module.tables);
+    return Object.keys(module.tables).map(tableId =>
+      this.qualifiedTables[`${moduleName}/${tableId}`] || this.normalizeTable(module.tables[tableId])
+    );
   },
 
   getAllCategories: function() {
@@ -114,100 +647,1143 @@ const RandomTablesData = {
   },
 
   getAllModules: function() {
-    return Object.keys(this.modules);
+    return Object.keys(this.moduleSources);
   },
 
+  // Tables whose name, description or category contains the query (case-insensitive)
   searchTables: function(query) {
     const lowerQuery = query.toLowerCase();
-    return Object.values(this.tables).filter(table => 
-      table.name.toLowerCase().includes(lowerQuery) ||
-      table.description.toLowerCase().includes(lowerQuery) ||
-      table.category.toLowerCase().includes(lowerQuery)
+    const search = this.getSearchIndex();
+    let candidates = search.entries;
+    
+    // Only tables holding every three-letter run of the query can contain it
+    if (lowerQuery.length >= 3) {
+      let smallest = null;
+      for (let i = 0; i + 3 <= lowerQuery.length; i++) {
+        const posting = search.trigrams[lowerQuery.slice(i, i + 3)];
+        if (!posting) return [];
+        if (!smallest || posting.length < smallest.length) smallest = posting;
+      }
+      candidates = smallest.map(position => search.entries[position]);
+    }
+    return candidates
+      .filter(entry => entry.fields.some(field => field.includes(lowerQuery)))
+      .map(entry => entry.table);
+  },
+
+  // Lower-cased name, description and category of every table, with the positions of the tables
+  // holding each three-letter run ("tri" -> [0, 4, ...]); built on the first search after init()
+  getSearchIndex: function() {
+    const index = this.getIndex();
+    if (!index.search) {
+      const search = { entries: [], trigrams: {} };
+      Object.values(index.tables).forEach((table, position) => {
+        const fields = [table.name, table.description, table.category].map(field => String(field || '').toLowerCase());
+        search.entries.push({ table: table, fields: fields });
+        fields.forEach(field => {
+          for (let i = 0; i + 3 <= field.length; i++) {
+            const posting = search.trigrams[field.slice(i, i + 3)] = search.trigrams[field.slice(i, i + 3)] || [];
+            if (posting[posting.length - 1] !== position) posting.push(position);
+          }
+        });
+      });
+      index.search = search;
+    }
+    return index.search;
+  },
+
+  // Split a tag into its facet and value: "tone:grim" -> { tag: "tone:grim", facet: "tone", value: "grim" }.
+  // A tag without a colon is a plain tag with a null facet. Tags compare in lower case.
+  parseTag: function(tag) {
+    const text = String(tag).trim().toLowerCase();
+    const separator = text.indexOf(':');
+    if (separator === -1) {
+      return { tag: text, facet: null, value: text };
+    }
+    return { tag: text, facet: text.slice(0, separator).trim(), value: text.slice(separator + 1).trim() };
+  },
+
+  // Parsed tags that apply to a row: its own, plus its table's for facets the row does not set (a row
+  // tagged level:11+ in a level:1-5 table is only level:11+). Plain tags of both apply.
+  getRowTags: function(table, row) {
+    const own = (table.results[row].tags || []).map(tag => this.parseTag(tag));
+    const inherited = (table.tags || []).map(tag => this.parseTag(tag)).filter(tag =>
+      !own.some(ownTag => ownTag.tag === tag.tag || (tag.facet !== null && ownTag.facet === tag.facet))
     );
+    return inherited.concat(own);
   },
 
-  // Integration function for DiceEngine
-  rollWithDiceEngine: function(diceEngine, tableId, customDice = null) {
-    const table = this.tables[tableId];
-    if (!table) {
+  // Read a tag filter into clauses [{ facet, values }] that must all match. Filters are written as
+  //   "tone:grim" or "undead"                      one tag
+  //   ["tone:grim", "undead"]                      every tag listed
+  //   { tone: "grim", terrain: ["swamp", "forest"], level: 3, boss: true }
+  //     every facet: the value, any of the values, a number inside a range value (level:1-5, level:11+)
+  //     or true for any value
+  // Throws for anything else.
+  parseTagFilter: function(filter) {
+    if (typeof filter === 'string') {
+      filter = [filter];
+    }
+    if (Array.isArray(filter)) {
+      return filter.map(tag => {
+        if (typeof tag !== 'string' || !tag.trim()) {
+          throw new Error(`Tag filter entries must be tags such as "tone:grim", not ${JSON.stringify(tag)}`);
+        }
+        const parsed = this.parseTag(tag);
+        return { facet: parsed.facet, values: [parsed.value] };
+      });
+    }
+    if (filter && typeof filter === 'object') {
+      return Object.keys(filter).map(facet => {
+        if (filter[facet] === true) {
+          return { facet: facet.trim().toLowerCase(), values: true };
+        }
+        const values = [].concat(filter[facet]);
+        if (values.length === 0 || values.some(value => typeof value !== 'string' && typeof value !== 'number')) {
+          throw new Error(`Tag filter facet '${facet}' needs a value, a list of values or true`);
+        }
+        return {
+          facet: facet.trim().toLowerCase(),
+          values: values.map(value => (typeof value === 'number' ? value : value.trim().toLowerCase()))
+        };
+      });
+    }
+    throw new Error("Tag filter must be a tag, a list of tags or an object of facets");
+  },
+
+  // A tag value matches a wanted value when they are equal, or when the wanted value is a number inside a
+  // range value: "1-5" (inclusive) or "11+" (11 and up)
+  matchesTagValue: function(value, wanted) {
+    if (String(wanted) === value) return true;
+    const number = Number(wanted);
+    if (wanted === '' || isNaN(number)) return false;
+    const range = /^(-?\d+(?:\.\d+)?)\s*(?:-\s*(-?\d+(?:\.\d+)?)|(\+))$/.exec(value);
+    if (!range) return false;
+    return number >= Number(range[1]) && (range[3] === '+' || number <= Number(range[2]));
+  },
+
+  // Check parsed tags against a tag filter (or clauses from parseTagFilter)
+  matchesTags: function(tags, filter) {
+    const clauses = Array.isArray(filter) && filter.every(clause => clause && clause.values !== undefined)
+      ? filter
+      : this.parseTagFilter(filter);
+    return clauses.every(clause => tags.some(tag =>
+      tag.facet === clause.facet &&
+      (clause.values === true || clause.values.some(wanted => this.matchesTagValue(tag.value, wanted)))
+    ));
+  },
+
+  // Parsed tags of every table and row by table key: { key: { tags, rows: [tags per row] } }, built on the
+  // first tag query after init()
+  getTagIndex: function() {
+    const index = this.getIndex();
+    if (!index.tags) {
+      index.tags = {};
+      Object.keys(index.tables).forEach(key => {
+        const table = index.tables[key];
+        index.tags[key] = {
+          tags: (table.tags || []).map(tag => this.parseTag(tag)),
+          rows: table.results.map((result, row) => this.getRowTags(table, row))
+        };
+      });
+    }
+    return index.tags;
+  },
+
+  // Tags of a table, or of one of its rows (including those it takes from the table), as written in lower case
+  getTags: function(tableId, row = null) {
+    const entry = this.getTagIndex()[this.resolveTableId(tableId)];
+    if (!entry) {
+      throw new Error(`Table with ID '${tableId}' not found`);
+    }
+    if (row === null) {
+      return entry.tags.map(tag => tag.tag);
+    }
+    if (!entry.rows[row]) {
+      throw new Error(`Table '${tableId}' has no row ${row}`);
+    }
+    return entry.rows[row].map(tag => tag.tag);
+  },
+
+  // Indexes of the rows of a table whose tags match the filter
+  getTaggedRows: function(tableId, filter) {
+    const key = this.resolveTableId(tableId);
+    if (!key) {
       throw new Error(`Table with ID '${tableId}' not found`);
     }
+    const clauses = this.parseTagFilter(filter);
+    const rows = [];
+    this.getTagIndex()[key].rows.forEach((tags, row) => {
+      if (this.matchesTags(tags, clauses)) rows.push(row);
+    });
+    return rows;
+  },
+
+  // Faceted query over tables and rows. Returns the tables with rows matching the filter (see
+  // parseTagFilter; [] or {} matches everything) and counts of the tags on those rows:
+  // { tables: [{ tableId, qualifiedId, tableName, module, tags, rows: [{ row, result, tags }] }],
+  //   rowCount, facets: { facet: { value: rows } }, tags: { plainTag: rows } }
+  // options.module and options.category (a table's own or its module's) narrow the tables searched.
+  findByTags: function(filter, options = {}) {
+    const clauses = this.parseTagFilter(filter);
+    const tagIndex = this.getTagIndex();
+    const found = { tables: [], rowCount: 0, facets: {}, tags: {} };
+    Object.keys(this.tables).forEach(key => {
+      const table = this.tables[key];
+      const moduleName = this.tableModules[key];
+      const module = this.moduleSources[moduleName];
+      if (options.module && moduleName !== options.module) return;
+      if (options.category && table.category !== options.category && !(module && module.category === options.category)) return;
+      
+      const rows = [];
+      tagIndex[key].rows.forEach((tags, row) => {
+        if (!this.matchesTags(tags, clauses)) return;
+        rows.push({ row: row, result: table.results[row].result, tags: tags.map(tag => tag.tag) });
+        tags.forEach(tag => {
+          if (tag.facet === null) {
+            found.tags[tag.value] = (found.tags[tag.value] || 0) + 1;
+          } else {
+            const values = found.facets[tag.facet] = found.facets[tag.facet] || {};
+            values[tag.value] = (values[tag.value] || 0) + 1;
+          }
+        });
+      });
+      if (rows.length === 0) return;
+      found.rowCount += rows.length;
+      found.tables.push({
+        tableId: key,
+        qualifiedId: key.indexOf('/') !== -1 ? key : `${moduleName}/${key}`,
+        tableName: table.name,
+        module: moduleName,
+        tags: tagIndex[key].tags.map(tag => tag.tag),
+        rows: rows
+      });
+    });
+    return found;
+  },
+
+  // Ranked full-text search of table names, descriptions and categories and of every row's result and
+  // description, tolerating typos (see table-search.js). "dragon" finds the "Dragon's lair entrance" row
+  // of mountain-encounters. options: { module, category, limit (default 20), match ('all' or 'any'),
+  // fuzzy, weights }. Returns hits, best first:
+  // [{ tableId, qualifiedId, tableName, module, row, result, score, matches: [{ term, word, field, distance }] }]
+  search: function(query, options = {}) {
+    const index = this.getIndex();
+    const searcher = this.getTableSearch();
+    if (!index.textSearch) {
+      index.textSearch = searcher.createIndex(Object.keys(index.tables).map(key => {
+        const moduleName = index.tableModules[key];
+        const module = this.moduleSources[moduleName];
+        return {
+          key: key,
+          qualifiedId: key.indexOf('/') !== -1 ? key : `${moduleName}/${key}`,
+          moduleName: moduleName,
+          moduleCategory: module ? module.category : null,
+          table: index.tables[key]
+        };
+      }));
+    }
+    return searcher.search(index.textSearch, query, options);
+  },
+
+  // The TableSearch helpers, from the page (tables/table-search.js) or required in Node
+  getTableSearch: function() {
+    return this.loadHelper('TableSearch', './table-search.js');
+  },
+
+  // Widest span of totals compileTable turns into a direct lookup; wider tables scan their ranges
+  maxLookupSpan: 65536,
+
+  // Compile a table's ranges into a direct roll-to-row lookup: { min, max, rows } where rows[total - min]
+  // is the index of the first row covering that total, or -1. Returns null for a table spanning more
+  // than maxLookupSpan totals.
+  compileTable: function(table) {
+    const ranged = table.results.filter(result => result.range);
+    if (ranged.length === 0) {
+      return { min: 0, max: -1, rows: new Int32Array(0) };
+    }
+    const min = Math.min.apply(null, ranged.map(result => result.range[0]));
+    const max = Math.max.apply(null, ranged.map(result => result.range[1]));
+    if (max - min + 1 > this.maxLookupSpan) {
+      return null;
+    }
+    const rows = new Int32Array(max - min + 1).fill(-1);
+    table.results.forEach((result, row) => {
+      if (!result.range) return;
+      for (let total = result.range[0]; total <= result.range[1]; total++) {
+        if (rows[total - min] === -1) rows[total - min] = row;
+      }
+    });
+    return { min: min, max: max, rows: rows };
+  },
+
+  // Index of the row a total lands on, or -1 when no row covers it. Registry tables are compiled on their
+  // first roll (see compileTable) and looked up directly from then on.
+  getRowIndex: function(table, total) {
+    const lookups = this.getIndex().lookups;
+    let lookup = lookups.get(table);
+    if (lookup === undefined) {
+      lookup = this.compileTable(table);
+      lookups.set(table, lookup);
+    }
+    if (lookup === null) {
+      return table.results.findIndex(result => result.range && total >= result.range[0] && total <= result.range[1]);
+    }
+    return total >= lookup.min && total <= lookup.max ? lookup.rows[total - lookup.min] : -1;
+  },
+
+  // Integration function for DiceEngine
+  // options.resolveReferences (default true) rolls nested [[table]] references; options.maxDepth limits nesting (default 5)
+  // options.evaluateDice (default true) rolls inline dice such as "2d6 copper pieces" in the result text
+  // options.rows limits the roll to those row indexes, keeping their relative odds (see drawFromDeck)
+  // options.followDirectives (default true) follows "roll again" / "roll twice" row directives
+  // options.context ({ partyLevel, timeOfDay, season, region, ... }) applies the table's context modifiers
+  // and row conditions (see applyContext); the result lists the roll modifiers that matched and the
+  // picked row's own matching conditions in `modifiers`
+  // options.tags limits the roll to rows whose tags match the filter (see parseTagFilter), as options.rows does
+  rollWithDiceEngine: function(diceEngine, tableId, customDice = null, options = {}) {
+    const table = this.requireTable(tableId);
+    const tableKey = this.resolveTableId(tableId);
+    const engine = diceEngine || this.getDiceEngine();
+    
+    let rows = Array.isArray(options.rows) ? options.rows : null;
+    if (options.tags !== undefined && options.tags !== null) {
+      const tagged = this.getTaggedRows(tableKey, options.tags);
+      rows = rows ? rows.filter(row => tagged.indexOf(row) !== -1) : tagged;
+      if (rows.length === 0) {
+        throw new Error(`No rows of table '${tableId}' match the tags ${JSON.stringify(options.tags)}`);
+      }
+    }
     
     const diceExpression = customDice || table.diceExpression;
-    const rollResult = diceEngine.rollExpression(diceExpression);
+    const context = options.context || null;
+    const shaping = this.applyContext(table, context);
+    
+    // A "roll again with +5" directive adds its modifier to the total before the row is looked up
+    if (options.modifier) {
+      shaping.shift += options.modifier;
+      shaping.applied.push({ type: 'directive', modifier: options.modifier, label: null });
+    }
+    
+    let rollResult;
+    if (rows || shaping.rowWeights) {
+      rollResult = this.rollFromRows(engine, table, diceExpression, rows, shaping);
+    } else {
+      rollResult = engine.rollExpression(diceExpression);
+      if (shaping.shift) {
+        const bounds = this.getDistributionFor(engine, diceExpression);
+        const total = Math.min(bounds.max, Math.max(bounds.min, rollResult.total + shaping.shift));
+        rollResult.breakdown = `${rollResult.breakdown} ${shaping.shift < 0 ? '-' : '+'} ${Math.abs(shaping.shift)} = ${total}`;
+        rollResult.modifier = (rollResult.modifier || 0) + shaping.shift;
+        rollResult.total = total;
+      }
+    }
     
     // Find the appropriate result based on roll
-    const matchingResult = table.results.find(result => {
-      const [min, max] = result.range;
-      return rollResult.total >= min && rollResult.total <= max;
-    });
+    const row = this.getRowIndex(table, rollResult.total);
+    const result = table.results[row === -1 ? table.results.length - 1 : row];
+    
+    let inline = { text: result.result, values: [] };
+    let resolution = { text: result.result, references: [] };
+    let directive = null;
+    
+    if (result.directive && options.followDirectives !== false) {
+      // Directive rows stand for their sub-rolls
+      directive = this.followDirective(engine, tableKey, result, options);
+      resolution.text = directive.text;
+    } else {
+      // Roll inline dice in the result text, then any tables it references, recursively
+      if (options.evaluateDice !== false && table.inlineDice !== false && result.inlineDice !== false) {
+        inline = this.evaluateInlineDice(engine, result.result);
+      }
+      resolution = options.resolveReferences === false
+        ? { text: inline.text, references: [] }
+        : this.resolveReferences(engine, tableKey, result, options, options.referencePath || [tableKey], inline.text);
+    }
     
     return {
       tableId: tableId,
+      qualifiedId: this.getQualifiedId(tableId),
       tableName: table.name,
       diceExpression: diceExpression,
+      roll: rollResult.total,
       rollData: rollResult,
-      result: matchingResult || table.results[table.results.length - 1],
+      result: result,
+      text: resolution.text,
+      values: inline.values,
+      references: resolution.references,
+      directive: directive,
+      context: context,
+      // Other rows' conditions only changed the odds, so they are not reported as applied to this result
+      modifiers: shaping.applied.filter(entry => entry.type !== 'row' || entry.row === row),
+      seed: rollResult.seed !== undefined ? rollResult.seed : null,
+      drawIndex: rollResult.drawIndex !== undefined ? rollResult.drawIndex : null,
       timestamp: new Date()
     };
   },
 
+  // List the table references in a result: "[[table-id]]", "[[table-id x2]]" or "[[table-id x1d4]]"
+  // in its text, plus a structured `roll` field ("table-id", { table, times } or an array of either)
+  getResultReferences: function(result) {
+    const references = [];
+    const pattern = /\[\[\s*([\w\/-]+)(?:\s+x\s*([\dd%+-]+))?\s*\]\]/g;
+    let match;
+    while ((match = pattern.exec(result.result || '')) !== null) {
+      const times = match[2] === undefined ? 1 : (/^\d+$/.test(match[2]) ? parseInt(match[2], 10) : match[2]);
+      references.push({ tableId: match[1], times: times, token: match[0] });
+    }
+    
+    const structured = result.roll === undefined ? [] : [].concat(result.roll);
+    structured.forEach(entry => {
+      if (typeof entry === 'string') {
+        references.push({ tableId: entry, times: 1, token: null });
+      } else if (entry && entry.table) {
+        references.push({ tableId: entry.table, times: entry.times === undefined ? 1 : entry.times, token: null });
+      }
+    });
+    return references;
+  },
+
+  // Units evaluateInlineDice reports for the words right after a dice expression. Other words
+  // ("2d4 goblins attack") stay in the text but are not a unit.
+  inlineDiceUnits: [
+    "gp", "sp", "cp", "pp", "ep", "gold", "silver", "copper", "platinum", "electrum",
+    "gold pieces", "silver pieces", "copper pieces", "platinum pieces", "electrum pieces",
+    "gold piece", "silver piece", "copper piece", "platinum piece", "electrum piece",
+    "gold coins", "silver coins", "copper coins", "platinum coins", "coins",
+    "rounds", "round", "minutes", "minute", "hours", "hour", "days", "day", "weeks", "week",
+    "months", "month", "years", "year", "turns", "turn",
+    "feet", "foot", "ft", "yards", "yard", "miles", "mile", "pounds", "pound", "lb", "lbs",
+    "damage", "acid damage", "cold damage", "electricity damage", "fire damage", "sonic damage",
+    "hit points", "hp", "xp"
+  ],
+
+  // Roll dice notation embedded in result text: "2d6 copper pieces" -> "7 copper pieces",
+  // "2d4 × 10 gp" -> "50 gp". Returns the rendered text and one value per expression with the
+  // rolled quantity and the unit that follows it (one of inlineDiceUnits, else null). [[table x1d4]]
+  // references are left alone.
+  evaluateInlineDice: function(diceEngine, text) {
+    const values = [];
+    if (!/\dd/i.test(text)) {
+      return { text: text, values: values };
+    }
+    const dice = '\\d+d(?:\\d+|%)(?:[dk][hl]\\d+)?';
+    // Longest units first, so "gold pieces" wins over "gold"
+    const units = this.inlineDiceUnits.slice()
+      .sort((a, b) => b.length - a.length)
+      .map(unit => unit.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    const pattern = new RegExp(`\\b(${dice}(?:\\s*[+-]\\s*(?:${dice}|\\d+))*)(?:\\s*[×x*]\\s*(\\d+))?(?!\\w)(?:\\s+(${units})(?!\\w))?`, 'gi');
+    
+    const rendered = text.split(/(\[\[[^\]]*\]\])/).map(segment => {
+      if (segment.indexOf('[[') === 0) return segment;
+      return segment.replace(pattern, (source, expression, multiplier, unit) => {
+        const rollData = diceEngine.rollExpression(expression);
+        const factor = multiplier ? parseInt(multiplier, 10) : 1;
+        const quantity = rollData.total * factor;
+        values.push({
+          source: source,
+          expression: rollData.expression,
+          multiplier: factor,
+          total: rollData.total,
+          quantity: quantity,
+          unit: unit || null,
+          rollData: rollData
+        });
+        return unit ? `${quantity} ${unit}` : String(quantity);
+      });
+    }).join('');
+    
+    return { text: rendered, values: values };
+  },
+
+  // Resolve a reference from inside a table; an ambiguous plain ID prefers the referring table's own module
+  resolveReference: function(tableId, fromKey) {
+    try {
+      return this.resolveTableId(tableId);
+    } catch (error) {
+      const sameModule = `${this.tableModules[fromKey]}/${tableId}`;
+      if (this.qualifiedTables[sameModule]) return this.resolveTableId(sameModule);
+      throw error;
+    }
+  },
+
+  // Roll every reference in a result and render the combined text (text defaults to the result's own).
+  // path holds the table keys being resolved, for cycle detection and the depth limit.
+  resolveReferences: function(diceEngine, tableKey, result, options, path, text = result.result) {
+    const references = this.getResultReferences(result);
+    if (references.length === 0) {
+      return { text: text, references: [] };
+    }
+    
+    const maxDepth = options.maxDepth !== undefined ? options.maxDepth : 5;
+    const nodes = references.map(reference => {
+      const node = { tableId: reference.tableId, times: 0, rolls: [], text: reference.tableId };
+      
+      let targetKey;
+      try {
+        targetKey = this.resolveReference(reference.tableId, tableKey);
+      } catch (error) {
+        node.error = error.message;
+        return node;
+      }
+      if (!targetKey) {
+        node.error = `Table with ID '${reference.tableId}' not found`;
+      } else if (path.includes(targetKey)) {
+        node.error = `Reference cycle: ${path.concat(targetKey).join(' -> ')}`;
+      } else if (path.length > maxDepth) {
+        node.error = `Reference depth limit of ${maxDepth} reached at '${targetKey}'`;
+      }
+      if (node.error) {
+        if (targetKey) node.text = this.tables[targetKey].name;
+        return node;
+      }
+      
+      node.times = typeof reference.times === 'number'
+        ? reference.times
+        : diceEngine.rollExpression(String(reference.times)).total;
+      const childOptions = Object.assign({}, options, { referencePath: path.concat(targetKey), rows: undefined, modifier: undefined, tags: undefined });
+      for (let i = 0; i < node.times; i++) {
+        node.rolls.push(this.rollWithDiceEngine(diceEngine, targetKey, null, childOptions));
+      }
+      node.text = node.rolls.map(roll => roll.text).join(', ');
+      return node;
+    });
+    
+    // Inline references are replaced in place; structured ones are appended in parentheses
+    const appended = [];
+    references.forEach((reference, index) => {
+      if (reference.token) {
+        text = text.replace(reference.token, nodes[index].text);
+      } else if (nodes[index].text) {
+        appended.push(nodes[index].text);
+      }
+    });
+    if (appended.length > 0) {
+      text = `${text} (${appended.join('; ')})`;
+    }
+    
+    return { text: text, references: nodes };
+  },
+
+  // Follow a row's directive and return the traceable node { type, tableId, times, modifier, rolls, text }.
+  // Directives:
+  //   { type: "reroll", modifier: 5 }                 roll this table again ("roll again with +5")
+  //   { type: "delegate", table: "id", modifier: 0 }  roll on another table instead ("reroll on table X")
+  //   { type: "combine", times: 2, unique: true }     roll N times and merge ("roll twice, ignore duplicates");
+  //                                                  add table: "id" to combine rolls from another table
+  // Combined rolls never land on another combine row. options.maxDirectiveDepth bounds chains (default 10).
+  followDirective: function(diceEngine, tableKey, result, options) {
+    const spec = result.directive;
+    const node = {
+      type: spec.type,
+      tableId: null,
+      times: spec.type === 'combine' ? (spec.times !== undefined ? spec.times : 2) : 1,
+      modifier: spec.modifier || 0,
+      rolls: [],
+      text: result.result
+    };
+    
+    const depth = options.directiveDepth || 0;
+    const maxDepth = options.maxDirectiveDepth !== undefined ? options.maxDirectiveDepth : 10;
+    const problem = this.checkDirective(spec, tableKey);
+    if (problem) {
+      node.error = problem;
+      return node;
+    }
+    if (depth >= maxDepth) {
+      node.error = `Directive depth limit of ${maxDepth} reached at '${tableKey}'`;
+      return node;
+    }
+    
+    node.tableId = spec.table ? this.resolveReference(spec.table, tableKey) : tableKey;
+    // A tag filter still applies when the directive rolls the same table again
+    const childOptions = Object.assign({}, options, {
+      directiveDepth: depth + 1,
+      modifier: node.modifier,
+      rows: undefined,
+      referencePath: undefined,
+      tags: node.tableId === tableKey ? options.tags : undefined
+    });
+    
+    if (spec.type !== 'combine') {
+      node.rolls.push(this.rollWithDiceEngine(diceEngine, node.tableId, null, childOptions));
+      node.text = node.rolls[0].text;
+      return node;
+    }
+    
+    // Combined rolls are limited to rows that are not themselves "roll N times", minus rows already
+    // picked when duplicates are ignored
+    const target = this.tables[node.tableId];
+    let rows = target.results
+      .map((row, index) => (row.directive && row.directive.type === 'combine' ? -1 : index))
+      .filter(index => index !== -1);
+    for (let i = 0; i < node.times && rows.length > 0; i++) {
+      let roll;
+      try {
+        roll = this.rollWithDiceEngine(diceEngine, node.tableId, null, Object.assign({}, childOptions, { rows: rows }));
+      } catch (error) {
+        break;
+      }
+      node.rolls.push(roll);
+      if (spec.unique !== false) {
+        const picked = target.results.indexOf(roll.result);
+        rows = rows.filter(index => index !== picked);
+      }
+    }
+    node.text = node.rolls.map(roll => roll.text).join('; ');
+    return node;
+  },
+
+  // Describe what is wrong with a directive, or return null when it can be followed
+  checkDirective: function(spec, tableKey) {
+    if (!spec || ['reroll', 'delegate', 'combine'].indexOf(spec.type) === -1) {
+      return `Unknown directive type '${spec && spec.type}'; use reroll, delegate or combine`;
+    }
+    if (spec.type === 'delegate' && !spec.table) {
+      return "Delegate directive needs a table";
+    }
+    if (spec.type === 'combine' && spec.times !== undefined && (!Number.isInteger(spec.times) || spec.times < 1)) {
+      return "Combine directive times must be a positive integer";
+    }
+    if (spec.type === 'combine' && spec.modifier) {
+      return "Combine directive cannot apply a modifier";
+    }
+    if (spec.modifier !== undefined && !Number.isInteger(spec.modifier)) {
+      return "Directive modifier must be an integer";
+    }
+    if (spec.table) {
+      let target = null;
+      try {
+        target = this.resolveReference(spec.table, tableKey);
+      } catch (error) {
+        target = null;
+      }
+      if (!target) {
+        return `Directive references unknown or ambiguous table '${spec.table}'`;
+      }
+    }
+    return null;
+  },
+
+  // Flatten a roll and every sub-roll made by its references and directives, depth first:
+  // [{ depth, tableId, roll, text, via }] where via is 'reference', a directive type, or null for the top roll
+  getRollChain: function(roll, depth = 0, via = null) {
+    const chain = [{ depth: depth, tableId: roll.tableId, roll: roll.roll, text: roll.text, via: via }];
+    (roll.references || []).forEach(reference => {
+      reference.rolls.forEach(child => {
+        chain.push.apply(chain, this.getRollChain(child, depth + 1, 'reference'));
+      });
+    });
+    if (roll.directive) {
+      roll.directive.rolls.forEach(child => {
+        chain.push.apply(chain, this.getRollChain(child, depth + 1, roll.directive.type));
+      });
+    }
+    return chain;
+  },
+
+  // Work out how a context ({ partyLevel, timeOfDay, season, region, ... }) shapes a roll on a table:
+  //   table.contextModifiers: [{ when, modifier, label }]  add to the roll total, clamped to the dice range
+  //   row.conditions:         [{ when, weight, label }]    multiply the row's odds; weight 0 removes the row
+  // Returns { shift, rowWeights, applied }; applied lists every modifier and condition that matched,
+  // on any row (a roll keeps only the picked row's conditions).
+  applyContext: function(table, context) {
+    const shaping = { shift: 0, rowWeights: null, applied: [] };
+    if (!context) {
+      return shaping;
+    }
+    
+    (table.contextModifiers || []).forEach(entry => {
+      if (!this.matchesContext(entry.when, context)) return;
+      shaping.shift += entry.modifier || 0;
+      shaping.applied.push({ type: 'roll', modifier: entry.modifier || 0, label: entry.label || null, when: entry.when });
+    });
+    
+    table.results.forEach((result, index) => {
+      (result.conditions || []).forEach(condition => {
+        if (!this.matchesContext(condition.when, context)) return;
+        const weight = condition.weight !== undefined ? condition.weight : 1;
+        shaping.rowWeights = shaping.rowWeights || table.results.map(() => 1);
+        shaping.rowWeights[index] *= weight;
+        shaping.applied.push({
+          type: 'row', row: index, result: result.result, weight: weight, label: condition.label || null, when: condition.when
+        });
+      });
+    });
+    return shaping;
+  },
+
+  // Check a `when` condition against a context. Every key must match: a plain value compares equal,
+  // an array lists the allowed values and { min, max } bounds a number. Keys missing from the context never match.
+  matchesContext: function(when, context) {
+    if (!when) return true;
+    return Object.keys(when).every(key => {
+      const expected = when[key];
+      const actual = context[key];
+      if (actual === undefined || actual === null) return false;
+      if (Array.isArray(expected)) return expected.includes(actual);
+      if (expected && typeof expected === 'object') {
+        return (expected.min === undefined || actual >= expected.min) &&
+          (expected.max === undefined || actual <= expected.max);
+      }
+      return actual === expected;
+    });
+  },
+
+  // Distribution of a dice expression from the given engine, or the registry engine when a custom
+  // engine cannot compute one
+  getDistributionFor: function(diceEngine, diceExpression) {
+    const engine = diceEngine && typeof diceEngine.getDistribution === 'function' ? diceEngine : this.getDiceEngine();
+    return engine.getDistribution(diceExpression);
+  },
+
+  // Map a dice expression's outcomes onto table rows after shaping ({ shift, rowWeights } from applyContext):
+  // totals move by the shift, clamped to the dice range, and each outcome's probability is scaled by the
+  // weight of the row it lands on. Outcomes landing outside `rows` (when given) get probability 0.
+  // Returns [{ value, row, probability }]; row is -1 for a total no row covers (rolls use the last row).
+  weighOutcomes: function(distribution, table, shaping, rows = null) {
+    return distribution.outcomes.map(outcome => {
+      const value = shaping.shift
+        ? Math.min(distribution.max, Math.max(distribution.min, outcome.value + shaping.shift))
+        : outcome.value;
+      const row = this.getRowIndex(table, value);
+      const owner = row === -1 ? table.results.length - 1 : row;
+      let probability = outcome.probability;
+      if (shaping.rowWeights) probability *= shaping.rowWeights[owner];
+      if (rows && !rows.includes(owner)) probability = 0;
+      return { value: value, row: row, probability: probability };
+    });
+  },
+
+  // Pick a total from the dice expression's exact distribution instead of rolling physical dice, limited
+  // to totals that land on the given rows (all rows when null) and weighted by the shaping's row weights,
+  // so every row keeps its odds relative to the others. Uses one draw from the engine.
+  rollFromRows: function(diceEngine, table, diceExpression, rows, shaping = { shift: 0, rowWeights: null }) {
+    const distribution = this.getDistributionFor(diceEngine, diceExpression);
+    const candidates = this.weighOutcomes(distribution, table, shaping, rows)
+      .filter(outcome => outcome.probability > 0);
+    if (candidates.length === 0) {
+      const scope = rows ? `rows ${rows.join(', ')}` : 'rows';
+      throw new Error(`None of the ${scope} of table '${table.id}' can be rolled with ${diceExpression} in this context`);
+    }
+    
+    const seed = typeof diceEngine.getSeed === 'function' ? diceEngine.getSeed() : null;
+    const drawIndex = diceEngine.drawIndex !== undefined ? diceEngine.drawIndex : null;
+    const random = typeof diceEngine.random === 'function' ? diceEngine.random() : Math.random();
+    
+    const totalProbability = candidates.reduce((sum, outcome) => sum + outcome.probability, 0);
+    let target = random * totalProbability;
+    let picked = candidates[candidates.length - 1];
+    for (let i = 0; i < candidates.length; i++) {
+      target -= candidates[i].probability;
+      if (target < 0) {
+        picked = candidates[i];
+        break;
+      }
+    }
+    
+    const notes = [];
+    if (rows) notes.push(`from ${rows.length} of ${table.results.length} rows`);
+    if (shaping.shift) notes.push(`${shaping.shift < 0 ? '-' : '+'}${Math.abs(shaping.shift)} modifier`);
+    if (shaping.rowWeights) notes.push('rows weighted by context');
+    
+    return {
+      expression: distribution.expression,
+      total: picked.value,
+      rolls: [],
+      modifier: shaping.shift,
+      breakdown: `${distribution.expression} = ${picked.value}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`,
+      groups: [],
+      seed: seed,
+      drawIndex: drawIndex
+    };
+  },
+
+  // Deck mode: draw rows without replacement until a table runs out.
+  // A deck is plain data, so JSON.stringify(deck) saves it and restoreDeck(JSON.parse(saved)) resumes it.
+  // options.onExhausted: 'reshuffle' (default) starts the table over, 'error' throws instead.
+  createDeck: function(tableIds, options = {}) {
+    const ids = [].concat(tableIds);
+    if (ids.length === 0) {
+      throw new Error("A deck needs at least one table");
+    }
+    if (options.onExhausted && options.onExhausted !== 'reshuffle' && options.onExhausted !== 'error') {
+      throw new Error(`Unknown onExhausted mode '${options.onExhausted}'; use 'reshuffle' or 'error'`);
+    }
+    
+    const deck = {
+      type: "deck",
+      tables: ids,
+      onExhausted: options.onExhausted || 'reshuffle',
+      drawn: {},
+      shuffles: {},
+      draws: 0
+    };
+    ids.forEach(tableId => {
+      this.requireTable(tableId);
+      deck.drawn[tableId] = [];
+      deck.shuffles[tableId] = 0;
+    });
+    return deck;
+  },
+
+  // Check saved deck state against the current tables and return it ready to draw from
+  restoreDeck: function(state) {
+    const deck = typeof state === 'string' ? JSON.parse(state) : state;
+    if (!deck || deck.type !== 'deck' || !Array.isArray(deck.tables)) {
+      throw new Error("Not a saved deck");
+    }
+    
+    deck.onExhausted = deck.onExhausted || 'reshuffle';
+    deck.drawn = deck.drawn || {};
+    deck.shuffles = deck.shuffles || {};
+    deck.draws = deck.draws || 0;
+    deck.tables.forEach(tableId => {
+      const table = this.requireTable(tableId);
+      const drawn = deck.drawn[tableId] || [];
+      const invalid = drawn.find(index => !Number.isInteger(index) || index < 0 || index >= table.results.length);
+      if (invalid !== undefined) {
+        throw new Error(`Saved deck refers to row ${invalid} of '${tableId}', which has ${table.results.length} rows`);
+      }
+      deck.drawn[tableId] = drawn;
+      deck.shuffles[tableId] = deck.shuffles[tableId] || 0;
+    });
+    return deck;
+  },
+
+  // Rows of a table the deck can still draw (rows that can never be rolled are not part of the deck)
+  getDeckRemaining: function(deck, tableId) {
+    if (!deck.drawn[tableId]) {
+      throw new Error(`Table '${tableId}' is not part of this deck`);
+    }
+    const odds = this.getTableOdds(tableId);
+    const rows = odds.rows;
+    if (rows.length > 0) {
+      rows[rows.length - 1].probability += odds.unmatchedProbability;
+    }
+    return rows
+      .map((row, index) => (row.probability > 0 && !deck.drawn[tableId].includes(index) ? index : -1))
+      .filter(index => index !== -1);
+  },
+
+  // Put drawn rows back, for one table or the whole deck
+  resetDeck: function(deck, tableId = null) {
+    (tableId ? [tableId] : deck.tables).forEach(id => {
+      if (!deck.drawn[id]) {
+        throw new Error(`Table '${id}' is not part of this deck`);
+      }
+      deck.drawn[id] = [];
+    });
+    return deck;
+  },
+
+  // Draw one row from a deck table. Without a tableId the deck picks one of its tables that still
+  // has rows, so a group deck (say, every name table for a city) never repeats a row.
+  // Returns the rollWithDiceEngine result plus `deck: { tableId, remaining, reshuffled }`.
+  drawFromDeck: function(deck, tableId = null, diceEngine = null, options = {}) {
+    const engine = diceEngine || this.getDiceEngine();
+    let reshuffled = false;
+    
+    const exhausted = id => {
+      if (deck.onExhausted === 'error') {
+        throw new Error(`Deck for '${id}' is exhausted after ${deck.drawn[id].length} draws`);
+      }
+      this.resetDeck(deck, id);
+      deck.shuffles[id]++;
+      reshuffled = true;
+    };
+    
+    if (tableId === null) {
+      let open = deck.tables.filter(id => this.getDeckRemaining(deck, id).length > 0);
+      if (open.length === 0) {
+        deck.tables.forEach(exhausted);
+        open = deck.tables.slice();
+      }
+      const random = typeof engine.random === 'function' ? engine.random() : Math.random();
+      tableId = open[Math.min(Math.floor(random * open.length), open.length - 1)];
+    }
+    
+    let remaining = this.getDeckRemaining(deck, tableId);
+    if (remaining.length === 0) {
+      exhausted(tableId);
+      remaining = this.getDeckRemaining(deck, tableId);
+    }
+    
+    const roll = this.rollWithDiceEngine(engine, tableId, null, Object.assign({}, options, { rows: remaining }));
+    deck.drawn[tableId].push(this.requireTable(tableId).results.indexOf(roll.result));
+    deck.draws++;
+    
+    roll.deck = {
+      tableId: tableId,
+      remaining: remaining.length - 1,
+      reshuffled: reshuffled
+    };
+    return roll;
+  },
+
   // Validation function
+  // Returns { valid, errors, warnings, issues }: errors/warnings are messages, issues the structured
+  // form ({ severity, code, message, rows, range }) for tooling.
   validateTable: function(tableId) {
-    const table = this.tables[tableId];
-    if (!table) return { valid: false, errors: [`Table '${tableId}' not found`] };
+    let table = null;
+    let lookupError = `Table '${tableId}' not found`;
+    try {
+      table = this.requireTable(tableId);
+    } catch (error) {
+      if (this.conflicts.some(conflict => conflict.tableId === tableId)) lookupError = error.message;
+    }
+    if (!table) {
+      const message = lookupError;
+      return {
+        valid: false,
+        errors: [message],
+        warnings: [],
+        issues: [{ severity: 'error', code: 'table-not-found', message: message, rows: [] }]
+      };
+    }
     
-    const errors = [];
+    const issues = [];
+    const addIssue = (severity, code, message, details = {}) => {
+      issues.push(Object.assign({ severity: severity, code: code, message: message, rows: [] }, details));
+    };
     
     // Check required fields
-    if (!table.name) errors.push("Missing table name");
-    if (!table.description) errors.push("Missing table description");
-    if (!table.diceExpression) errors.push("Missing dice expression");
-    if (!table.category) errors.push("Missing category");
+    if (!table.name) addIssue('error', 'missing-field', "Missing table name");
+    if (!table.description) addIssue('error', 'missing-field', "Missing table description");
+    // Weighted tables derive their dice expression, so only ranged tables must declare one
+    const weighted = table.format === 'weighted';
+    if (!table.diceExpression && !weighted) addIssue('error', 'missing-field', "Missing dice expression");
+    if (!table.category) addIssue('error', 'missing-field', "Missing category");
     if (!table.results || !Array.isArray(table.results)) {
-      errors.push("Missing or invalid results array");
+      addIssue('error', 'missing-field', "Missing or invalid results array");
     }
     
-    // Validate results array
-    if (table.results) {
-      table.results.forEach((result, index) => {
-        if (!result.range || !Array.isArray(result.range) || result.range.length !== 2) {
-          errors.push(`Result ${index}: Invalid range format`);
-        }
-        if (!result.result) {
-          errors.push(`Result ${index}: Missing result text`);
+    // Validate results array
+    let rangesWellFormed = Array.isArray(table.results);
+    if (Array.isArray(table.results)) {
+      // A ranged table with rows lacking a range: those rows could never be rolled
+      const mixed = !weighted && table.results.some(result => result.range !== undefined) &&
+        table.results.some(result => result.range === undefined);
+      table.results.forEach((result, index) => {
+        if (weighted) {
+          if (!Number.isInteger(result.weight) || result.weight <= 0) {
+            addIssue('error', 'invalid-weight', `Result ${index}: Weight must be a positive integer`, { rows: [index] });
+          }
+        } else if (mixed && result.range === undefined) {
+          addIssue('error', 'mixed-rows', `Result ${index}: No range, though other results have one; give every result a range or declare format 'weighted'`, { rows: [index] });
+          rangesWellFormed = false;
+        } else if (!result.range || !Array.isArray(result.range) || result.range.length !== 2 ||
+            !Number.isInteger(result.range[0]) || !Number.isInteger(result.range[1])) {
+          addIssue('error', 'invalid-range', `Result ${index}: Invalid range format`, { rows: [index] });
+          rangesWellFormed = false;
+        }
+        if (!result.result) {
+          addIssue('error', 'missing-field', `Result ${index}: Missing result text`, { rows: [index] });
+        }
+        if (result.directive) {
+          const problem = this.checkDirective(result.directive, this.resolveTableId(tableId));
+          if (problem) {
+            const code = problem.indexOf('unknown or ambiguous table') !== -1 ? 'unknown-reference' : 'invalid-directive';
+            addIssue('error', code, `Result ${index}: ${problem}`, { rows: [index] });
+          }
+        }
+        this.getResultReferences(result).forEach(reference => {
+          let target = null;
+          try {
+            target = this.resolveReference(reference.tableId, this.resolveTableId(tableId));
+          } catch (error) {
+            target = null;
+          }
+          if (!target) {
+            addIssue('error', 'unknown-reference', `Result ${index}: References unknown or ambiguous table '${reference.tableId}'`, { rows: [index] });
+          }
+        });
+      });
+    }
+    
+    // Check the ranges against the totals the dice expression can actually produce
+    if (rangesWellFormed && table.diceExpression) {
+      this.checkRangeCoverage(table, addIssue);
+    }
+    
+    const errors = issues.filter(issue => issue.severity === 'error').map(issue => issue.message);
+    const warnings = issues.filter(issue => issue.severity === 'warning').map(issue => issue.message);
+    
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+      warnings: warnings,
+      issues: issues
+    };
+  },
+
+  // Report reversed, overlapping, unreachable and out-of-bounds ranges and uncovered totals.
+  // Overlaps and gaps are errors because rollWithDiceEngine silently resolves them to another row.
+  checkRangeCoverage: function(table, addIssue) {
+    const engine = this.getDiceEngine();
+    try {
+      engine.parseExpression(table.diceExpression);
+    } catch (error) {
+      addIssue('error', 'invalid-dice-expression', `Invalid dice expression '${table.diceExpression}': ${error.message}`);
+      return;
+    }
+    // Expressions too large for exact odds still roll, but their ranges cannot be checked against the
+    // outcomes, nor shown odds for or drawn from a deck
+    let distribution;
+    try {
+      distribution = engine.getDistribution(table.diceExpression);
+    } catch (error) {
+      addIssue('warning', 'dice-too-large', `Ranges not checked: ${error.message}`);
+      return;
+    }
+    
+    const dice = distribution.expression;
+    const reachable = distribution.outcomes;
+    const ordered = [];
+    
+    table.results.forEach((result, index) => {
+      if (!result.range) return;
+      const [low, high] = result.range;
+      if (low > high) {
+        addIssue('error', 'reversed-range', `Result ${index}: Range ${low}-${high} is reversed`, {
+          rows: [index], range: [low, high]
+        });
+        return;
+      }
+      ordered.push({ index: index, low: low, high: high });
+      
+      if (!reachable.some(outcome => outcome.value >= low && outcome.value <= high)) {
+        addIssue('warning', 'unreachable-row', `Result ${index}: Range ${low}-${high} can never be rolled with ${dice} (${distribution.min}-${distribution.max})`, {
+          rows: [index], range: [low, high]
+        });
+      } else if (low < distribution.min || high > distribution.max) {
+        addIssue('warning', 'out-of-bounds', `Result ${index}: Range ${low}-${high} extends outside ${dice} (${distribution.min}-${distribution.max})`, {
+          rows: [index], range: [low, high]
+        });
+      }
+    });
+    
+    ordered.sort((a, b) => a.low - b.low);
+    ordered.forEach((first, position) => {
+      ordered.slice(position + 1).forEach(second => {
+        const low = Math.max(first.low, second.low);
+        const high = Math.min(first.high, second.high);
+        if (low <= high) {
+          const span = low === high ? `${low}` : `${low}-${high}`;
+          addIssue('error', 'overlap', `Results ${Math.min(first.index, second.index)} and ${Math.max(first.index, second.index)} overlap on ${span}`, {
+            rows: [first.index, second.index].sort((a, b) => a - b), range: [low, high]
+          });
         }
       });
-    }
+    });
     
-    return {
-      valid: errors.length === 0,
-      errors: errors
+    // Group uncovered reachable totals into runs so a gap reads "18" or "18-19", not one issue per total
+    let gap = null;
+    const flushGap = () => {
+      if (!gap) return;
+      const span = gap.low === gap.high ? `${gap.low}` : `${gap.low}-${gap.high}`;
+      addIssue('error', 'gap', `No result covers ${span} on ${dice} (${(gap.probability * 100).toFixed(1)}% of rolls)`, {
+        range: [gap.low, gap.high], probability: gap.probability
+      });
+      gap = null;
     };
+    reachable.forEach(outcome => {
+      const covered = ordered.some(row => outcome.value >= row.low && outcome.value <= row.high);
+      if (covered) {
+        flushGap();
+      } else if (gap) {
+        gap.high = outcome.value;
+        gap.probability += outcome.probability;
+      } else {
+        gap = { low: outcome.value, high: outcome.value, probability: outcome.probability };
+      }
+    });
+    flushGap();
   },
 
-  // Validate all tables across all modules
+  // Validate all tables across all modules.
+  // The result maps table IDs to validateTable() results; a non-enumerable `summary`
+  // property totals them without disturbing code that iterates the table entries.
   validateAllTables: function() {
     const results = {};
+    const summary = {
+      totalTables: 0,
+      validTables: 0,
+      invalidTables: [],
+      tablesWithWarnings: [],
+      errorCount: 0,
+      warningCount: 0,
+      issueCounts: {}
+    };
+    
     Object.keys(this.tables).forEach(tableId => {
-      results[tableId] = this.validateTable(tableId);
+      const validation = this.validateTable(tableId);
+      results[tableId] = validation;
+      
+      summary.totalTables++;
+      if (validation.valid) {
+        summary.validTables++;
+      } else {
+        summary.invalidTables.push(tableId);
+      }
+      if (validation.warnings.length > 0) {
+        summary.tablesWithWarnings.push(tableId);
+      }
+      summary.errorCount += validation.errors.length;
+      summary.warningCount += validation.warnings.length;
+      validation.issues.forEach(issue => {
+        summary.issueCounts[issue.code] = (summary.issueCounts[issue.code] || 0) + 1;
+      });
     });
+    
+    Object.defineProperty(results, 'summary', { value: summary, enumerable: false });
     return results;
   },
 
   // Export function for data backup
-  exportTables: function(format = 'json') {
+  // options for csv: { delimiter (default ','), lineEnding (default CRLF), bom, encoding }. With an
+  // encoding ('utf-8' or 'utf-16le') the result is a Uint8Array; bom adds a byte order mark for Excel.
+  // options for markdown and html: { groupBy ('module' or 'category'), module, category, probabilities,
+  // toc (default true), title, layout ('page' or 'screen', html only) }; module and category limit the
+  // export to one module or category.
+  // foundry gives a JSON array of Foundry VTT RollTable documents (one document when options.table names
+  // a table); roll20 gives { rollabletables: [...] } with every table in weighted form. Both take the
+  // module, category and table filters.
+  exportTables: function(format = 'json', options = {}) {
     if (format === 'json') {
       return JSON.stringify(this.tables, null, 2);
     } else if (format === 'csv') {
-      // CSV export for spreadsheet analysis
-      let csv = "Table ID,Table Name,Category,Dice Expression,Range Min,Range Max,Result,Description\n";
-      Object.values(this.tables).forEach(table => {
-        table.results.forEach(result => {
-          csv += `"${table.id}","${table.name}","${table.category}","${table.diceExpression}",${result.range[0]},${result.range[1]},"${result.result}","${result.description || ''}"\n`;
-        });
-      });
-      return csv;
+      // RFC 4180 CSV for spreadsheets; importTables() reads it back
+      const entries = Object.keys(this.tables).map(key => ({ moduleName: this.tableModules[key], table: this.tables[key] }));
+      const exporter = this.getTableExporter();
+      const csv = exporter.tablesToCSV(entries, options);
+      if (options.encoding) {
+        return exporter.encode(csv, options.encoding, options.bom);
+      }
+      return options.bom ? `\uFEFF${csv}` : csv;
+    } else if (format === 'markdown' || format === 'html') {
+      // Printable documents; chances come from each table's dice expression
+      const exporter = this.getTableExporter();
+      const entries = this.getExportEntries(options).map(entry => Object.assign(entry, {
+        chances: options.probabilities
+          ? this.getTableOdds(`${entry.moduleName}/${entry.table.id}`).rows.map(row => row.probability)
+          : null
+      }));
+      return format === 'markdown' ? exporter.tablesToMarkdown(entries, options) : exporter.tablesToHTML(entries, options);
+    } else if (format === 'foundry') {
+      // Foundry VTT RollTable documents
+      const exporter = this.getTableExporter();
+      const documents = this.getExportEntries(options).map(entry => exporter.toFoundryRollTable(entry));
+      return JSON.stringify(options.table ? documents[0] || null : documents, null, 2);
+    } else if (format === 'roll20') {
+      // Roll20 only knows weights, so ranged tables go out with the same odds as weights
+      const exporter = this.getTableExporter();
+      const rollableTables = this.getExportEntries(options).map(entry => exporter.toRoll20Table({
+        moduleName: entry.moduleName,
+        table: this.toWeightedTable(entry.table)
+      }));
+      return JSON.stringify({ rollabletables: rollableTables }, null, 2);
     } else if (format === 'modules') {
       // Export by module for organizational purposes
       const moduleExport = {};
@@ -226,15 +1802,325 @@ const RandomTablesData = {
     return null;
   },
 
-  // Get statistics about the table collection
+  // Tables for an export as [{ moduleName, moduleDescription, table }], limited by options.module,
+  // options.category (a table's own category or its module's) and options.table (an ID)
+  getExportEntries: function(options = {}) {
+    const only = options.table ? this.resolveTableId(options.table) : null;
+    if (options.table && !only) {
+      throw new Error(`Table with ID '${options.table}' not found`);
+    }
+    return Object.keys(this.tables)
+      .filter(key => {
+        const moduleName = this.tableModules[key];
+        const module = this.modules[moduleName];
+        return (!only || key === only) &&
+          (!options.module || moduleName === options.module) &&
+          (!options.category || this.tables[key].category === options.category ||
+            (module && module.category === options.category));
+      })
+      .map(key => {
+        const moduleName = this.tableModules[key];
+        return {
+          moduleName: moduleName,
+          moduleDescription: this.modules[moduleName] ? this.modules[moduleName].description : null,
+          table: this.tables[key]
+        };
+      });
+  },
+
+  // Check a module (by name or the module object) against the table schema.
+  // Returns { valid, errors: [{ pointer, keyword, message, tableId, row }] } where pointer is a JSON
+  // pointer into the module ("/tables/goblin-loot/results/2/range") and tableId/row are read from it.
+  validateModuleSchema: function(moduleOrName) {
+    const module = typeof moduleOrName === 'string' ? this.modules[moduleOrName] : moduleOrName;
+    if (module === undefined) {
+      throw new Error(`Module '${moduleOrName}' not found`);
+    }
+    const report = this.getTableSchema().validateModule(module);
+    report.errors.forEach(error => {
+      const match = /^\/tables\/([^/]+)(?:\/results\/(\d+))?/.exec(error.pointer);
+      error.tableId = match ? match[1].replace(/~1/g, '/').replace(/~0/g, '~') : null;
+      error.row = match && match[2] !== undefined ? parseInt(match[2], 10) : null;
+    });
+    return report;
+  },
+
+  // The TableSchema validator, from the page (tables/table-schema.js) or required in Node
+  getTableSchema: function() {
+    return this.loadHelper('TableSchema', './table-schema.js');
+  },
+
+  // Import tables from CSV (the columns exportTables('csv') writes), JSON, modules JSON, Markdown
+  // "| d20 | Result |" tables, Foundry VTT RollTables or Roll20 rollable tables, and register them as
+  // a module (see table-import.js for the formats). text may also be bytes, e.g. a file Buffer.
+  // options: { format (detected when omitted), moduleName (default "imported"), category, delimiter,
+  // merge, replace, allowInvalid, onConflict }. Importing into a registered module is an error
+  // ('module-exists') unless merge adds the tables to it or replace swaps it. Every imported module is checked against the table schema first:
+  // tables that do not match it are never registered, and their errors carry the JSON pointer of the
+  // problem (code 'schema', pointer). The rest go through validateTable; unless allowInvalid is set,
+  // nothing is registered when a row cannot be read or a table has errors.
+  // Returns { valid, registered, format, modules, tables, errors, warnings, validation } where errors and
+  // warnings are [{ line, tableId, row, code, message }] pointing at the source line of the row.
+  importTables: function(text, options = {}) {
+    // Anything but text or bytes gets the report of an unreadable file rather than a TypeError
+    const importer = this.getTableImporter();
+    let source;
+    try {
+      source = importer.decode(text);
+    } catch (error) {
+      return {
+        valid: false,
+        registered: false,
+        format: options.format || null,
+        modules: [],
+        tables: [],
+        errors: [{ code: 'parse-error', line: null, tableId: null, row: null, message: error.message }],
+        warnings: [],
+        validation: {}
+      };
+    }
+    const parsed = importer.parse(source, options);
+    const report = {
+      valid: true,
+      registered: false,
+      format: parsed.format,
+      modules: Object.keys(parsed.modules),
+      tables: [],
+      errors: parsed.errors.map(error => Object.assign({ code: 'parse-error' }, error)),
+      warnings: parsed.warnings.map(warning => Object.assign({ code: 'parse-warning' }, warning)),
+      validation: {}
+    };
+    
+    // Tables that do not match the schema are reported and left out, as are modules with bad fields
+    Object.keys(parsed.modules).forEach(moduleName => {
+      const module = parsed.modules[moduleName];
+      this.validateModuleSchema(module).errors.forEach(error => {
+        const lines = (error.tableId && parsed.lines[`${moduleName}/${error.tableId}`]) || { table: null, rows: [] };
+        const line = error.row !== null && lines.rows[error.row] !== undefined ? lines.rows[error.row] : lines.table;
+        const pointer = `/${moduleName}${error.pointer}`;
+        report.errors.push({
+          line: line, tableId: error.tableId, row: error.row, code: 'schema', pointer: pointer,
+          message: `${pointer} ${error.message}`
+        });
+        if (error.tableId === null) {
+          delete parsed.modules[moduleName];
+        } else if (parsed.modules[moduleName]) {
+          delete module.tables[error.tableId];
+        }
+      });
+    });
+    
+    // A module that is already registered is only touched with options.merge (add the imported tables
+    // to it, replacing those with the same IDs) or options.replace (swap the whole module)
+    const existing = {};
+    const candidates = {};
+    Object.keys(parsed.modules).forEach(moduleName => {
+      const module = parsed.modules[moduleName];
+      existing[moduleName] = this.modules[moduleName];
+      if (existing[moduleName] && !options.merge && !options.replace) {
+        report.errors.push({
+          line: null, tableId: null, row: null, code: 'module-exists',
+          message: `Module '${moduleName}' is already registered; pass { merge: true } to add the imported tables to it or { replace: true } to replace it`
+        });
+      }
+      candidates[moduleName] = existing[moduleName] && options.merge
+        ? Object.assign({}, existing[moduleName], { tables: Object.assign({}, existing[moduleName].tables, module.tables) })
+        : module;
+    });
+    if (report.errors.some(error => error.code === 'module-exists')) {
+      report.valid = false;
+      return report;
+    }
+    
+    // Validate the tables in place, then put the modules back; registerModule does the real registration
+    Object.keys(candidates).forEach(moduleName => {
+      this.moduleSources[moduleName] = candidates[moduleName];
+    });
+    try {
+      // Collisions are only warned about once, when the modules are registered
+      this.init({ onConflict: options.onConflict === 'error' ? 'error' : 'ignore' });
+      Object.keys(parsed.modules).forEach(moduleName => {
+        Object.keys(parsed.modules[moduleName].tables).forEach(tableId => {
+          const qualifiedId = `${moduleName}/${tableId}`;
+          const validation = this.validateTable(qualifiedId);
+          const lines = parsed.lines[qualifiedId] || { table: null, rows: [] };
+          report.tables.push(qualifiedId);
+          report.validation[qualifiedId] = validation;
+          
+          validation.issues.forEach(issue => {
+            const row = issue.rows.length > 0 ? issue.rows[0] : null;
+            const line = row !== null && lines.rows[row] !== undefined ? lines.rows[row] : lines.table;
+            const entry = { line: line, tableId: tableId, row: row, code: issue.code, message: issue.message };
+            (issue.severity === 'error' ? report.errors : report.warnings).push(entry);
+          });
+        });
+      });
+    } finally {
+      Object.keys(candidates).forEach(moduleName => {
+        if (existing[moduleName]) {
+          this.moduleSources[moduleName] = existing[moduleName];
+        } else {
+          delete this.moduleSources[moduleName];
+        }
+      });
+      this.init({ onConflict: 'ignore' });
+    }
+    
+    report.valid = report.errors.length === 0;
+    if (report.valid || options.allowInvalid) {
+      Object.keys(candidates).forEach(moduleName => {
+        this.registerModule(moduleName, candidates[moduleName], { replace: Boolean(existing[moduleName]), onConflict: options.onConflict });
+      });
+      report.registered = true;
+    }
+    return report;
+  },
+
+  // Export every table to CSV and read it back with the importer, comparing each table with the
+  // registered one. Returns { passed, tables, failures: [{ tableId, moduleName, path, expected, actual }] };
+  // options are passed to exportTables('csv').
+  checkCsvRoundTrip: function(options = {}) {
+    return this.checkRoundTrip('csv', options);
+  },
+
+  // The same check for any format importTables() reads back: csv, json, modules, markdown, foundry
+  // or roll20. Roll20 tables are compared in weighted form, as they are exported; Markdown keeps
+  // only names, dice, ranges and text, so it is not an exact round trip.
+  checkRoundTrip: function(format, options = {}) {
+    const exported = this.exportTables(format, options);
+    const parsed = this.getTableImporter().parse(exported, { format: format, delimiter: options.delimiter });
+    const failures = parsed.errors.map(error => ({
+      tableId: error.tableId, moduleName: null, path: `line ${error.line}`, expected: null, actual: error.message
+    }));
+    
+    // Deep comparison that ignores key order; returns the path of the first difference or null
+    const difference = (expected, actual, path) => {
+      if (expected === actual) return null;
+      if (!expected || !actual || typeof expected !== 'object' || typeof actual !== 'object' ||
+          Array.isArray(expected) !== Array.isArray(actual)) {
+        return path;
+      }
+      const keys = Object.keys(expected).concat(Object.keys(actual))
+        .filter((key, index, all) => all.indexOf(key) === index);
+      for (let i = 0; i < keys.length; i++) {
+        const found = difference(expected[keys[i]], actual[keys[i]], `${path}.${keys[i]}`);
+        if (found) return found;
+      }
+      return null;
+    };
+    const valueAt = (value, path) => path.split('.').slice(1).reduce((current, key) =>
+      (current !== null && typeof current === 'object' ? current[key] : undefined), value);
+    
+    Object.keys(this.tables).forEach(key => {
+      const moduleName = this.tableModules[key];
+      const table = format === 'roll20' ? this.normalizeTable(this.toWeightedTable(this.tables[key])) : this.tables[key];
+      // JSON exports carry no module names, so everything lands in the import module
+      const module = parsed.modules[moduleName] || parsed.modules[parsed.moduleName];
+      const imported = module && module.tables[table.id] ? this.normalizeTable(module.tables[table.id]) : undefined;
+      const path = difference(table, imported, table.id);
+      if (path) {
+        failures.push({
+          tableId: table.id, moduleName: moduleName, path: path,
+          expected: valueAt(table, path), actual: imported === undefined ? undefined : valueAt(imported, path)
+        });
+      }
+    });
+    
+    return { passed: failures.length === 0, tables: Object.keys(this.tables).length, failures: failures };
+  },
+
+  // Compare the v1.1 data file (or data shaped like it) with the registry; see
+  // LegacyMigration.createMergeReport for the report
+  compareLegacyTables: function(legacyData = null) {
+    const migration = this.getLegacyMigration();
+    return migration.createMergeReport(legacyData || migration.loadLegacyData(), this);
+  },
+
+  // An object with the v1.1 API (rollTable, searchTables...) that works on this registry
+  createLegacyShim: function() {
+    return this.getLegacyMigration().createShim(this);
+  },
+
+  // LegacyMigration, from the page (tables/legacy-migration.js) or required in Node
+  getLegacyMigration: function() {
+    return this.loadHelper('LegacyMigration', './legacy-migration.js');
+  },
+
+  // The TableExport writers, from the page (tables/table-export.js) or required in Node
+  getTableExporter: function() {
+    return this.loadHelper('TableExport', './table-export.js');
+  },
+
+  // The TableImport parsers, from the page (tables/table-import.js) or required in Node
+  getTableImporter: function() {
+    return this.loadHelper('TableImport', './table-import.js');
+  },
+
+  // Exact per-row odds for a table, computed from its dice expression's distribution.
+  // unmatchedProbability is the chance of a total no row covers (rollWithDiceEngine falls back to the last row).
+  // Pass a context to see the odds after its modifiers and row conditions.
+  getTableOdds: function(tableId, customDice = null, context = null) {
+    const table = this.requireTable(tableId);
+
+    const diceExpression = customDice || table.diceExpression;
+    const distribution = this.getDiceEngine().getDistribution(diceExpression);
+    const outcomes = this.weighOutcomes(distribution, table, this.applyContext(table, context));
+    const totalWeight = outcomes.reduce((sum, outcome) => sum + outcome.probability, 0) || 1;
+    const rows = table.results.map(result => ({ range: result.range, result: result.result, probability: 0 }));
+    let unmatchedProbability = 0;
+
+    outcomes.forEach(outcome => {
+      if (outcome.row === -1) {
+        unmatchedProbability += outcome.probability / totalWeight;
+      } else {
+        rows[outcome.row].probability += outcome.probability / totalWeight;
+      }
+    });
+
+    return {
+      tableId: tableId,
+      diceExpression: distribution.expression,
+      outcomes: distribution.outcomes.length,
+      mean: distribution.mean,
+      variance: distribution.variance,
+      percentiles: distribution.percentiles,
+      rows: rows,
+      unmatchedProbability: unmatchedProbability
+    };
+  },
+
+  // Get statistics about the table collection. They are worked out once per init() and copied for each
+  // caller, so changing the returned object does not affect later calls.
   getStatistics: function() {
+    const index = this.getIndex();
+    if (!index.statistics) {
+      index.statistics = this.computeStatistics();
+    }
+    const stats = index.statistics;
+    const rowOdds = {};
+    Object.keys(stats.rowOdds).forEach(tableId => {
+      rowOdds[tableId] = stats.rowOdds[tableId] &&
+        stats.rowOdds[tableId].map(row => Object.assign({}, row, { range: row.range && row.range.slice() }));
+    });
+    return Object.assign({}, stats, {
+      categories: Object.assign({}, stats.categories),
+      modules: Object.assign({}, stats.modules),
+      diceExpressions: Object.assign({}, stats.diceExpressions),
+      formats: Object.assign({}, stats.formats),
+      rowOdds: rowOdds
+    });
+  },
+
+  computeStatistics: function() {
     const stats = {
       totalTables: Object.keys(this.tables).length,
       totalModules: Object.keys(this.modules).length,
       categories: {},
       modules: {},
       diceExpressions: {},
-      totalResults: 0
+      formats: { ranged: 0, weighted: 0 },
+      totalResults: 0,
+      rowOdds: {}
     };
 
     // Count by category
@@ -248,70 +2134,542 @@ const RandomTablesData = {
     });
 
     // Count dice expressions and results
-    Object.values(this.tables).forEach(table => {
+    Object.keys(this.tables).forEach(tableId => {
+      const table = this.tables[tableId];
+      
       // Count dice expressions
       const dice = table.diceExpression;
       stats.diceExpressions[dice] = (stats.diceExpressions[dice] || 0) + 1;
+      stats.formats[table.format === 'weighted' ? 'weighted' : 'ranged']++;
       
       // Count total results
       stats.totalResults += table.results.length;
+
+      // True per-row probabilities (bell curves such as 2d6 are not uniform); null for dice too
+      // large for exact odds, which validateTable reports
+      try {
+        stats.rowOdds[tableId] = this.getTableOdds(tableId).rows;
+      } catch (error) {
+        stats.rowOdds[tableId] = null;
+      }
     });
 
     return stats;
   },
 
-  // Quick access to commonly used table combinations
-  quickGenerators: {
-    // Generate a complete NPC
-    generateNPC: function(diceEngine) {
-      const name = RandomTablesData.rollWithDiceEngine(diceEngine, 'npc-names');
-      const motivation = RandomTablesData.rollWithDiceEngine(diceEngine, 'npc-motivations');
-      const occupation = RandomTablesData.rollWithDiceEngine(diceEngine, 'npc-occupations');
-      const secret = RandomTablesData.rollWithDiceEngine(diceEngine, 'npc-secrets');
-      
-      return {
-        name: name.result.result,
-        description: name.result.description,
-        motivation: motivation.result.result,
-        occupation: occupation.result.result,
-        secret: secret.result.result
-      };
-    },
+  // Add a generator recipe (see generator-recipes.js for the format). Throws with every problem
+  // validateRecipe finds; pass { replace: true } to overwrite a recipe with the same ID.
+  registerRecipe: function(recipe, options = {}) {
+    if (!recipe || !recipe.id) {
+      throw new Error("Recipe needs an id");
+    }
+    if (this.recipes[recipe.id] && !options.replace) {
+      throw new Error(`Recipe '${recipe.id}' is already registered`);
+    }
+    
+    const validation = this.validateRecipe(recipe);
+    if (!validation.valid) {
+      throw new Error(`Invalid recipe '${recipe.id}': ${validation.errors.join('; ')}`);
+    }
+    this.recipes[recipe.id] = recipe;
+    return this;
+  },
+
+  getRecipe: function(recipeId) {
+    return this.recipes[recipeId] || null;
+  },
+
+  // Summaries of the registered recipes: [{ id, name, description, fields }]
+  listRecipes: function() {
+    return Object.values(this.recipes).map(recipe => ({
+      id: recipe.id,
+      name: recipe.name || recipe.id,
+      description: recipe.description || '',
+      fields: Object.keys(recipe.fields || {})
+    }));
+  },
 
-    // Generate a location
-    generateLocation: function(diceEngine) {
-      const tavernName = RandomTablesData.rollWithDiceEngine(diceEngine, 'tavern-names');
-      const shopName = RandomTablesData.rollWithDiceEngine(diceEngine, 'shop-names');
-      const feature = RandomTablesData.rollWithDiceEngine(diceEngine, 'settlement-features');
+  // Check a recipe (ID or definition) without running it. Returns { valid, errors, warnings };
+  // messages start with the field path, e.g. "fields.name: Table 'npc-nmes' not found".
+  // Missing tables in optional steps are warnings.
+  validateRecipe: function(recipeOrId, path = []) {
+    const recipe = typeof recipeOrId === 'string' ? this.getRecipe(recipeOrId) : recipeOrId;
+    const errors = [];
+    const warnings = [];
+    if (!recipe) {
+      return { valid: false, errors: [`Recipe '${recipeOrId}' not found`], warnings: warnings };
+    }
+    if (!recipe.fields || typeof recipe.fields !== 'object' || Object.keys(recipe.fields).length === 0) {
+      return { valid: false, errors: ["Recipe needs at least one field"], warnings: warnings };
+    }
+    
+    const checkTable = (tableId, where, optional) => {
+      let key = null;
+      let message = `Table '${tableId}' not found`;
+      try {
+        key = this.resolveTableId(tableId);
+      } catch (error) {
+        message = error.message;
+      }
+      if (!key) (optional ? warnings : errors).push(`${where}: ${message}`);
+    };
+    
+    const seen = [];
+    Object.keys(recipe.fields).forEach(field => {
+      const where = `fields.${field}`;
+      const spec = typeof recipe.fields[field] === 'string' ? { table: recipe.fields[field] } : recipe.fields[field];
+      if (!spec || typeof spec !== 'object') {
+        errors.push(`${where}: Step must be a table ID or an object`);
+        return;
+      }
       
-      return {
-        tavern: tavernName.result.result,
-        shop: shopName.result.result,
-        notableFeature: feature.result.result
-      };
-    },
+      const kinds = ['table', 'from', 'by', 'recipe'].filter(kind => spec[kind] !== undefined);
+      if (kinds.length !== 1) {
+        errors.push(`${where}: Step needs exactly one of table, from, by or recipe`);
+      } else if (spec.table !== undefined) {
+        checkTable(spec.table, where, spec.optional);
+      } else if (spec.from !== undefined && seen.indexOf(spec.from) === -1) {
+        errors.push(`${where}: 'from' must name an earlier field, not '${spec.from}'`);
+      } else if (spec.by !== undefined) {
+        if (!spec.tables || typeof spec.tables !== 'object') {
+          errors.push(`${where}: 'by' steps need a tables map`);
+        } else {
+          Object.keys(spec.tables).forEach(option => checkTable(spec.tables[option], `${where}.tables.${option}`, spec.optional));
+        }
+        if (spec.default !== undefined) checkTable(spec.default, `${where}.default`, spec.optional);
+      } else if (spec.recipe !== undefined) {
+        const nestedPath = path.concat(recipe.id);
+        if (nestedPath.indexOf(spec.recipe) !== -1) {
+          errors.push(`${where}: Recipe cycle: ${nestedPath.concat(spec.recipe).join(' -> ')}`);
+        } else {
+          const nested = this.validateRecipe(spec.recipe, nestedPath);
+          nested.errors.forEach(message => errors.push(`${where}: ${message}`));
+          nested.warnings.forEach(message => warnings.push(`${where}: ${message}`));
+        }
+      }
+      
+      if (spec.value !== undefined && ['text', 'result', 'description', 'roll'].indexOf(spec.value) === -1) {
+        errors.push(`${where}: Unknown value '${spec.value}'; use text, result, description or roll`);
+      }
+      if (spec.chance !== undefined && !(typeof spec.chance === 'number' && spec.chance > 0 && spec.chance <= 1)) {
+        errors.push(`${where}: chance must be a number above 0 and at most 1`);
+      }
+      if (spec.when !== undefined && (!spec.when || typeof spec.when !== 'object')) {
+        errors.push(`${where}: when must be an object of conditions`);
+      }
+      if (spec.tags !== undefined) {
+        try {
+          this.parseTagFilter(spec.tags);
+        } catch (error) {
+          errors.push(`${where}: ${error.message}`);
+        }
+      }
+      seen.push(field);
+    });
+    
+    return { valid: errors.length === 0, errors: errors, warnings: warnings };
+  },
+
+  // Run a recipe (ID or definition) and return { recipeId, values, rolls, skipped, modifiers, seed, drawIndex }.
+  // values holds each field's value (nested recipes give their values object, skipped steps null),
+  // rolls the table roll or nested output behind each field. All steps share one engine, so a seeded
+  // engine reproduces the whole output; the context reaches every roll and every `when`.
+  // options.keep ({ values, paths, locked }) carries fields over from an earlier run instead of rolling
+  // them (see rerollField); options.path and options.prefix are set for nested recipes.
+  runRecipe: function(recipeOrId, diceEngine = null, context = null, options = {}) {
+    const recipe = typeof recipeOrId === 'string' ? this.getRecipe(recipeOrId) : recipeOrId;
+    if (!recipe) {
+      throw new Error(`Recipe '${recipeOrId}' not found`);
+    }
+    const path = options.path || [];
+    const keep = options.keep || null;
+    if (path.indexOf(recipe.id) !== -1) {
+      throw new Error(`Recipe cycle: ${path.concat(recipe.id).join(' -> ')}`);
+    }
+    
+    const engine = diceEngine || this.getDiceEngine();
+    const output = {
+      recipeId: recipe.id,
+      values: {},
+      rolls: {},
+      skipped: [],
+      modifiers: [],
+      seed: typeof engine.getSeed === 'function' ? engine.getSeed() : null,
+      drawIndex: engine.drawIndex !== undefined ? engine.drawIndex : null
+    };
+    
+    Object.keys(recipe.fields).forEach(field => {
+      const fieldPath = options.prefix ? `${options.prefix}.${field}` : field;
+      output.values[field] = null;
+      if (keep && this.isKeptField(recipe.fields[field], fieldPath, keep, output)) {
+        output.values[field] = this.readFieldPath(keep.values, fieldPath);
+        return;
+      }
+      try {
+        const step = this.runRecipeStep(recipe, field, engine, context, output, {
+          path: path.concat(recipe.id), keep: keep, prefix: fieldPath
+        });
+        if (step.skipped) {
+          output.skipped.push({ field: field, reason: step.skipped });
+          return;
+        }
+        output.values[field] = step.value;
+        if (step.roll) {
+          output.rolls[field] = step.roll;
+          output.modifiers = output.modifiers.concat(step.roll.modifiers || []);
+        }
+      } catch (error) {
+        const spec = recipe.fields[field];
+        if (!spec || !spec.optional) throw error;
+        output.skipped.push({ field: field, reason: error.message });
+      }
+    });
+    
+    return output;
+  },
+
+  // Whether a rerun keeps a field's earlier value: `from` fields follow their source unless locked,
+  // every other field is kept when its path is listed
+  isKeptField: function(spec, fieldPath, keep, output) {
+    if (spec && spec.from !== undefined) {
+      return keep.locked.indexOf(fieldPath) !== -1 || !output.rolls[spec.from];
+    }
+    return keep.paths.indexOf(fieldPath) !== -1;
+  },
+
+  // Run one recipe field; returns { value, roll } or { skipped: reason }.
+  // options are the nested-run options for recipe steps ({ path, keep, prefix })
+  runRecipeStep: function(recipe, field, engine, context, output, options) {
+    const spec = typeof recipe.fields[field] === 'string' ? { table: recipe.fields[field] } : recipe.fields[field];
+    const scope = Object.assign({}, context || {});
+    Object.keys(output.values).forEach(key => {
+      const value = output.values[key];
+      if (typeof value === 'string' || typeof value === 'number') scope[key] = value;
+    });
+    
+    if (spec.when && !this.matchesContext(spec.when, scope)) {
+      return { skipped: 'Conditions not met' };
+    }
+    if (spec.chance !== undefined) {
+      const random = typeof engine.random === 'function' ? engine.random() : Math.random();
+      if (random >= spec.chance) return { skipped: `Chance of ${spec.chance} not met` };
+    }
+    
+    const pick = roll => {
+      switch (spec.value || 'text') {
+        case 'result': return roll.result.result;
+        case 'description': return roll.result.description !== undefined ? roll.result.description : null;
+        case 'roll': return roll.roll;
+        default: return roll.text;
+      }
+    };
+    
+    if (spec.recipe !== undefined) {
+      const nested = this.runRecipe(spec.recipe, engine, context, options);
+      return { value: nested.values, roll: nested };
+    }
+    if (spec.from !== undefined) {
+      const source = output.rolls[spec.from];
+      if (!source || !source.result) {
+        return { skipped: `Field '${spec.from}' has no table roll` };
+      }
+      return { value: pick(source) };
+    }
+    
+    let tableId = spec.table;
+    if (spec.by !== undefined) {
+      const option = scope[spec.by];
+      tableId = option !== undefined && spec.tables[option] !== undefined ? spec.tables[option] : spec.default;
+      if (tableId === undefined) {
+        throw new Error(`No table for ${spec.by} '${option}' in recipe '${recipe.id}' field '${field}'`);
+      }
+    }
+    const roll = this.rollWithDiceEngine(engine, tableId, null, { context: context, tags: spec.tags });
+    return { value: pick(roll), roll: roll };
+  },
+
+  // Lock-and-reroll editing of generator output. A generation is plain data (JSON.stringify saves it,
+  // restoreGeneration resumes it) holding the recipe's values, the locked field paths ("twist",
+  // "keyNPC.name") and undo/redo snapshots. source is a recipe ID, a runRecipe() output or a
+  // quickGenerators result. options: { context, historyLimit (default 50) }.
+  createGeneration: function(source, diceEngine = null, options = {}) {
+    const context = options.context || null;
+    const output = typeof source === 'string' ? this.runRecipe(source, diceEngine, context) : source;
+    if (!output || !output.recipeId || !this.getRecipe(output.recipeId)) {
+      throw new Error("Generations need a registered recipe ID, a runRecipe() output or a quickGenerators result");
+    }
+    
+    const values = {};
+    const sourceValues = output.values || output;
+    Object.keys(this.getRecipe(output.recipeId).fields).forEach(field => {
+      values[field] = sourceValues[field] !== undefined ? sourceValues[field] : null;
+    });
+    
+    return {
+      type: "generation",
+      recipeId: output.recipeId,
+      context: context,
+      values: JSON.parse(JSON.stringify(values)),
+      locked: [],
+      overridden: [],
+      skipped: output.skipped || [],
+      seed: output.seed !== undefined ? output.seed : null,
+      drawIndex: output.drawIndex !== undefined ? output.drawIndex : null,
+      historyLimit: options.historyLimit || 50,
+      history: [],
+      future: []
+    };
+  },
+
+  // Check saved generation state against the registered recipes and return it ready to edit
+  restoreGeneration: function(state) {
+    const generation = typeof state === 'string' ? JSON.parse(state) : state;
+    if (!generation || generation.type !== 'generation' || !generation.values) {
+      throw new Error("Not a saved generation");
+    }
+    if (!this.getRecipe(generation.recipeId)) {
+      throw new Error(`Recipe '${generation.recipeId}' not found`);
+    }
+    ['locked', 'overridden', 'skipped', 'history', 'future'].forEach(key => {
+      generation[key] = generation[key] || [];
+    });
+    generation.historyLimit = generation.historyLimit || 50;
+    return generation;
+  },
+
+  // Value at a dotted field path ("keyNPC.name"), or undefined
+  readFieldPath: function(values, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) =>
+      (value !== null && typeof value === 'object' ? value[key] : undefined), values);
+  },
+
+  // Throw unless a dotted field path names a field of the generation's recipe (or a nested recipe)
+  checkFieldPath: function(generation, fieldPath) {
+    let recipe = this.getRecipe(generation.recipeId);
+    fieldPath.split('.').forEach((key, index, keys) => {
+      const spec = recipe && recipe.fields[key];
+      if (!spec) {
+        throw new Error(`Unknown field '${fieldPath}' in recipe '${generation.recipeId}'`);
+      }
+      recipe = index < keys.length - 1 && spec.recipe ? this.getRecipe(spec.recipe) : null;
+    });
+  },
+
+  // Whether a field, or a nested recipe field containing it, is locked
+  isFieldLocked: function(generation, fieldPath) {
+    return generation.locked.some(locked => fieldPath === locked || fieldPath.indexOf(`${locked}.`) === 0);
+  },
+
+  // Save the current state before a change; a new change clears the redo stack
+  recordGeneration: function(generation) {
+    generation.history.push(JSON.parse(JSON.stringify({
+      values: generation.values, locked: generation.locked, overridden: generation.overridden, skipped: generation.skipped
+    })));
+    if (generation.history.length > generation.historyLimit) {
+      generation.history.shift();
+    }
+    generation.future = [];
+  },
+
+  lockField: function(generation, fieldPath) {
+    this.checkFieldPath(generation, fieldPath);
+    if (generation.locked.indexOf(fieldPath) === -1) {
+      this.recordGeneration(generation);
+      generation.locked.push(fieldPath);
+    }
+    return generation;
+  },
+
+  unlockField: function(generation, fieldPath) {
+    if (generation.locked.indexOf(fieldPath) !== -1) {
+      this.recordGeneration(generation);
+      generation.locked = generation.locked.filter(locked => locked !== fieldPath);
+    }
+    return generation;
+  },
 
-    // Generate adventure setup
-    generateAdventure: function(diceEngine) {
-      const hook = RandomTablesData.rollWithDiceEngine(diceEngine, 'adventure-hooks');
-      const complication = RandomTablesData.rollWithDiceEngine(diceEngine, 'complications');
-      const objective = RandomTablesData.rollWithDiceEngine(diceEngine, 'quest-objectives');
-      const twist = RandomTablesData.rollWithDiceEngine(diceEngine, 'story-twists');
+  // Re-roll one field (with the fields derived from it), or every unlocked field when fieldPath is null.
+  // Locked fields keep their values; re-rolling a locked field throws.
+  rerollField: function(generation, fieldPath = null, diceEngine = null) {
+    let paths = generation.locked.slice();
+    if (fieldPath !== null) {
+      this.checkFieldPath(generation, fieldPath);
+      if (this.isFieldLocked(generation, fieldPath)) {
+        throw new Error(`Field '${fieldPath}' is locked`);
+      }
       
-      return {
-        hook: hook.result.result,
-        complication: complication.result.result,
-        objective: objective.result.result,
-        twist: twist.result.result
+      // Keep every other field: list the leaf paths outside the one being re-rolled
+      const collect = (values, prefix) => {
+        Object.keys(values).forEach(key => {
+          const path = prefix ? `${prefix}.${key}` : key;
+          const inside = path === fieldPath || path.indexOf(`${fieldPath}.`) === 0;
+          const contains = fieldPath.indexOf(`${path}.`) === 0;
+          if (contains && values[key] !== null && typeof values[key] === 'object') {
+            collect(values[key], path);
+          } else if (!inside && !contains) {
+            paths.push(path);
+          }
+        });
       };
+      collect(generation.values, '');
+    }
+    
+    const output = this.runRecipe(generation.recipeId, diceEngine, generation.context, {
+      keep: { values: generation.values, paths: paths, locked: generation.locked }
+    });
+    this.recordGeneration(generation);
+    generation.values = JSON.parse(JSON.stringify(output.values));
+    generation.skipped = output.skipped;
+    return generation;
+  },
+
+  // Set a field by hand. The field is locked so later re-rolls keep the manual value.
+  overrideField: function(generation, fieldPath, value) {
+    this.checkFieldPath(generation, fieldPath);
+    this.recordGeneration(generation);
+    
+    const keys = fieldPath.split('.');
+    let target = generation.values;
+    keys.slice(0, -1).forEach(key => {
+      if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+    
+    if (generation.overridden.indexOf(fieldPath) === -1) generation.overridden.push(fieldPath);
+    if (generation.locked.indexOf(fieldPath) === -1) generation.locked.push(fieldPath);
+    return generation;
+  },
+
+  // Step back through lock, unlock, re-roll and override changes; returns false when there is nothing to undo
+  undoGeneration: function(generation) {
+    return this.stepGeneration(generation, generation.history, generation.future);
+  },
+
+  redoGeneration: function(generation) {
+    return this.stepGeneration(generation, generation.future, generation.history);
+  },
+
+  stepGeneration: function(generation, from, to) {
+    if (from.length === 0) {
+      return false;
+    }
+    to.push(JSON.parse(JSON.stringify({
+      values: generation.values, locked: generation.locked, overridden: generation.overridden, skipped: generation.skipped
+    })));
+    Object.assign(generation, from.pop());
+    return true;
+  },
+
+  // Quick access to commonly used table combinations, each backed by a recipe in generator-recipes.js.
+  // Generators accept an optional engine (pass a seeded one, or use withSeed, for reproducible output) and an
+  // optional context; they return the recipe's values with `modifiers`, `seed` and `drawIndex` alongside.
+  // Set for each registry by createQuickGenerators(), so the generators always run on their own registry.
+  quickGenerators: null,
+
+  // The quickGenerators object for this registry
+  createQuickGenerators: function() {
+    const registry = this;
+    return {
+      // Run any recipe in the quick generator shape
+      fromRecipe: function(recipeId, diceEngine, context = null) {
+        const output = registry.runRecipe(recipeId, diceEngine, context);
+        return Object.assign({}, output.values, {
+          recipeId: output.recipeId,
+          modifiers: output.modifiers,
+          seed: output.seed,
+          drawIndex: output.drawIndex
+        });
+      },
+
+      // Generate a complete NPC
+      generateNPC: function(diceEngine, context = null) {
+        return registry.quickGenerators.fromRecipe('npc', diceEngine, context);
+      },
+
+      // Generate a location
+      generateLocation: function(diceEngine, context = null) {
+        return registry.quickGenerators.fromRecipe('location', diceEngine, context);
+      },
+
+      // Generate adventure setup
+      generateAdventure: function(diceEngine, context = null) {
+        return registry.quickGenerators.fromRecipe('adventure', diceEngine, context);
+      }
+    };
+  },
+
+  // The table modules that ship with the registry, by module name: required in Node, read from their
+  // globals in the browser (modules whose script is not loaded are left out)
+  getBuiltInModules: function() {
+    if (BuiltInTableSources) {
+      return Object.assign({}, BuiltInTableSources.modules);
+    }
+    const builtIn = {};
+    if (typeof window !== 'undefined') {
+      Object.keys(this.builtInModuleGlobals).forEach(globalName => {
+        if (this.isTableModule(window[globalName])) builtIn[this.builtInModuleGlobals[globalName]] = window[globalName];
+      });
+    }
+    return builtIn;
+  },
+
+  // The built-in recipes (generator-recipes.js), or null when its script is not loaded
+  getBuiltInRecipes: function() {
+    if (BuiltInTableSources) {
+      return BuiltInTableSources.recipes;
     }
+    return typeof window !== 'undefined' && window.GeneratorRecipes ? window.GeneratorRecipes : null;
+  },
+
+  // Create a registry independent of this one: its own modules, tables, categories, recipes, dice engine,
+  // event listeners and quickGenerators, sharing only the methods. RandomTablesData itself is the default registry.
+  // options: {
+  //   modules     - { moduleName: module or loader } (default: the built-in modules)
+  //   engine      - dice engine for rolls that do not pass one (default: a new DiceEngine on first use)
+  //   recipes     - extra recipes, as an array or { id: recipe }; the built-in recipes are always loaded
+  //   onConflict, onSchemaError - passed to init()
+  // }
+  createTableRegistry: function(options = {}) {
+    const template = this;
+    const registry = {};
+    // Methods and the accessors for the tables; reading descriptors leaves this registry's modules unloaded
+    Object.keys(template).forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(template, key);
+      if (descriptor.get || typeof descriptor.value === 'function') Object.defineProperty(registry, key, descriptor);
+    });
+    Object.assign(registry, {
+      version: template.version,
+      created: template.created,
+      description: template.description,
+      moduleSources: Object.assign({}, options.modules || template.getBuiltInModules()),
+      index: null,
+      pendingModules: [],
+      moduleErrors: {},
+      initOptions: {},
+      maxLookupSpan: template.maxLookupSpan,
+      inlineDiceUnits: template.inlineDiceUnits.slice(),
+      builtInModuleGlobals: template.builtInModuleGlobals,
+      recipes: {},
+      listeners: {},
+      diceEngine: options.engine || null
+    });
+    registry.quickGenerators = registry.createQuickGenerators();
+    registry.init({ onConflict: options.onConflict, onSchemaError: options.onSchemaError });
+
+    const recipes = options.recipes || [];
+    (Array.isArray(recipes) ? recipes : Object.values(recipes)).forEach(recipe => {
+      registry.registerRecipe(recipe, { replace: true });
+    });
+    return registry;
   }
 };
 
-// Initialize the combined tables
-if (typeof CharacterGenerationTables !== 'undefined') {
-  RandomTablesData.init();
-}
+RandomTablesData.quickGenerators = RandomTablesData.createQuickGenerators();
+
+// Register the built-in modules (in the browser, those whose scripts are already loaded)
+RandomTablesData.modules = RandomTablesData.getBuiltInModules();
+RandomTablesData.init();
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
@@ -322,29 +2680,12 @@ if (typeof module !== 'undefined' && module.exports) {
 if (typeof window !== 'undefined') {
   window.RandomTablesData = RandomTablesData;
   
-  // Load modules in browser environment
-  if (window.CharacterGenerationTables) {
-    RandomTablesData.modules.characterGeneration = window.CharacterGenerationTables;
+  // Pick up any other table modules already on the page (e.g. window.HomebrewTables). Built-in modules
+  // loaded after this script are registered when they set their globals; homebrew scripts can call
+  // registerModule() or be found once the page has loaded.
+  RandomTablesData.discoverModules();
+  RandomTablesData.watchModuleGlobals();
+  if (typeof document !== 'undefined' && document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => RandomTablesData.discoverModules());
   }
-  if (window.LocationTables) {
-    RandomTablesData.modules.locations = window.LocationTables;
-  }
-  if (window.EncounterTables) {
-    RandomTablesData.modules.encounters = window.EncounterTables;
-  }
-  if (window.NPCTables) {
-    RandomTablesData.modules.npcs = window.NPCTables;
-  }
-  if (window.TreasureTables) {
-    RandomTablesData.modules.treasure = window.TreasureTables;
-  }
-  if (window.EnvironmentTables) {
-    RandomTablesData.modules.environment = window.EnvironmentTables;
-  }
-  if (window.PlotDevelopmentTables) {
-    RandomTablesData.modules.plotDevelopment = window.PlotDevelopmentTables;
-  }
-  
-  // Initialize after loading modules
-  RandomTablesData.init();
-}
\ No newline at end of file
+}
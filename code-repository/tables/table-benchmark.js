@@ -0,0 +1,122 @@
+/**
+ * Random Tables Benchmark
+ * Times table rolls, lookups and searches on a registry holding several hundred tables
+ *
+ * Builds an independent registry with the built-in modules plus generated homebrew modules, then
+ * times batch rolls (the target is 100,000 rolls per second in Node) and the indexed lookups:
+ * searchTables, getTablesByCategory and getStatistics. Run it with `node table-benchmark.js`; the
+ * exit code is 1 when rolls fall short of the target.
+ *
+ * @version 2.0
+ * @date September 20, 2025
+ * @location code-repository/tables/table-benchmark.js
+ */
+
+const TableBenchmark = {
+  // Rolls per second a batch should reach
+  targetRollsPerSecond: 100000,
+
+  // Homebrew-sized modules: `tables` tables spread over modules of 25, each a d100 table with `rows` rows
+  createModules: function(tables = 300, rows = 20) {
+    const modules = {};
+    const span = Math.floor(100 / rows);
+    for (let t = 0; t < tables; t++) {
+      const moduleName = `benchmark${Math.floor(t / 25) + 1}`;
+      const category = `benchmark-${t % 12}`;
+      modules[moduleName] = modules[moduleName] || {
+        category: "benchmark",
+        description: "Generated tables for the benchmark",
+        tables: {}
+      };
+      const results = [];
+      for (let r = 0; r < rows; r++) {
+        results.push({
+          range: [r * span + 1, r === rows - 1 ? 100 : (r + 1) * span],
+          result: `Result ${r + 1} of table ${t + 1}`,
+          description: `Generated row ${r + 1}`
+        });
+      }
+      const id = `benchmark-table-${t + 1}`;
+      modules[moduleName].tables[id] = {
+        id: id,
+        name: `Benchmark Table ${t + 1}`,
+        description: `Generated ${category} table`,
+        diceExpression: "1d100",
+        category: category,
+        results: results
+      };
+    }
+    return modules;
+  },
+
+  // Milliseconds taken by callback, run `times` times
+  time: function(callback, times = 1) {
+    const start = Date.now();
+    for (let i = 0; i < times; i++) {
+      callback(i);
+    }
+    return Date.now() - start;
+  },
+
+  // options: { tables (generated, default 300), rows (per table, default 20), rolls (default 100000), seed }
+  // Returns { tables, rolls, rollMs, rollsPerSecond, passed, searchMs, categoryMs, statisticsMs }
+  // where the lookup timings are for 1,000 calls (statisticsMs: 100 calls after the first)
+  run: function(registry, options = {}) {
+    const rolls = options.rolls || 100000;
+    const modules = Object.assign(registry.getBuiltInModules(), this.createModules(options.tables || 300, options.rows || 20));
+    const benchmark = registry.createTableRegistry({
+      modules: modules,
+      engine: registry.createDiceEngine({ seed: options.seed !== undefined ? options.seed : 2025 })
+    });
+    const tableIds = Object.keys(benchmark.tables);
+    const categories = benchmark.getAllCategories();
+    const queries = ["forest", "table 12", "benchmark-3", "treasure", "names"];
+
+    // One pass first, so every table is compiled before the timed batch
+    tableIds.forEach(tableId => benchmark.rollTable(tableId));
+    const rollMs = Math.max(1, this.time(i => benchmark.rollTable(tableIds[i % tableIds.length]), rolls));
+    const rollsPerSecond = Math.round(rolls / rollMs * 1000);
+
+    const searchMs = this.time(i => benchmark.searchTables(queries[i % queries.length]), 1000);
+    const categoryMs = this.time(i => benchmark.getTablesByCategory(categories[i % categories.length]), 1000);
+    benchmark.getStatistics();
+    const statisticsMs = this.time(() => benchmark.getStatistics(), 100);
+
+    return {
+      tables: tableIds.length,
+      rolls: rolls,
+      rollMs: rollMs,
+      rollsPerSecond: rollsPerSecond,
+      passed: rollsPerSecond >= this.targetRollsPerSecond,
+      searchMs: searchMs,
+      categoryMs: categoryMs,
+      statisticsMs: statisticsMs
+    };
+  },
+
+  // Print a benchmark run
+  report: function(result) {
+    console.log(`${result.rolls} rolls across ${result.tables} tables in ${result.rollMs} ms: ` +
+      `${result.rollsPerSecond} rolls/sec (target ${this.targetRollsPerSecond}) ${result.passed ? '✅' : '❌'}`);
+    console.log(`1000 searches: ${result.searchMs} ms`);
+    console.log(`1000 category lookups: ${result.categoryMs} ms`);
+    console.log(`100 statistics calls: ${result.statisticsMs} ms`);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TableBenchmark;
+
+  // Run when started from the command line
+  if (typeof require !== 'undefined' && require.main === module) {
+    const result = TableBenchmark.run(require('./random-tables-index.js'));
+    TableBenchmark.report(result);
+    process.exitCode = result.passed ? 0 : 1;
+  }
+}
+
+// Global namespace for browser use
+if (typeof window !== 'undefined') {
+  window.TableBenchmark = TableBenchmark;
+}
@@ -0,0 +1,403 @@
+/**
+ * Table Export
+ * Writers behind RandomTablesData.exportTables() for file formats that need more than JSON.stringify
+ *
+ * CSV follows RFC 4180: fields containing the delimiter, a double quote, a line break or edge
+ * whitespace are quoted, quotes are doubled and records end with CRLF. table-import.js reads
+ * the same columns back.
+ *
+ * Markdown and HTML are printable documents: tables grouped by module or category under a table of
+ * contents, each with its dice column, description and optional per-row chances. The Markdown reads
+ * back through importTables(); the HTML carries print styles for binders and GM-screen inserts.
+ *
+ * Foundry VTT RollTable documents and Roll20 rollable tables show each description after the
+ * result text and keep every other field under a "rulzlawyer" key, so importTables() restores them.
+ *
+ * @version 2.0
+ * @date September 20, 2025
+ * @location code-repository/tables/table-export.js
+ */
+
+const TableExport = {
+  // Column order of exportTables('csv'). The first nine match the original export so existing
+  // spreadsheets keep working; Table Data and Row Data hold any other fields as JSON.
+  csvColumns: [
+    "Table ID", "Table Name", "Category", "Dice Expression", "Range Min", "Range Max", "Result",
+    "Description", "Weight", "Tags", "Module", "Table Description", "Table Data", "Row Data"
+  ],
+
+  // Table and row fields that have a column of their own
+  tableColumnFields: ["id", "name", "category", "diceExpression", "description", "results", "format"],
+  rowColumnFields: ["range", "result", "description", "weight", "tags"],
+
+  // Quote a CSV field when it needs it
+  formatCSVField: function(value, delimiter) {
+    const text = value === undefined || value === null ? '' : String(value);
+    if (text.indexOf(delimiter) !== -1 || /["\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  },
+
+  // Write records (arrays of field values) as CSV text
+  writeCSV: function(records, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const lineEnding = options.lineEnding || '\r\n';
+    return records
+      .map(record => record.map(value => this.formatCSVField(value, delimiter)).join(delimiter))
+      .join(lineEnding) + lineEnding;
+  },
+
+  // One CSV record per result row. entries are [{ moduleName, table }] with registry (normalized)
+  // tables: weighted tables write their derived ranges and each row's weight.
+  tablesToCSV: function(entries, options = {}) {
+    const records = [this.csvColumns];
+    entries.forEach(entry => {
+      const table = entry.table;
+      const weighted = table.format === 'weighted';
+      const tableData = this.extraFields(table, this.tableColumnFields);
+
+      table.results.forEach((result, index) => {
+        const range = result.range || ['', ''];
+        const rowData = this.extraFields(result, this.rowColumnFields);
+        records.push([
+          table.id,
+          table.name,
+          table.category,
+          table.diceExpression,
+          range[0],
+          range[1],
+          result.result,
+          result.description !== undefined ? result.description : '',
+          weighted ? result.weight : '',
+          Array.isArray(result.tags) ? result.tags.join(';') : '',
+          entry.moduleName,
+          index === 0 ? table.description : '',
+          index === 0 && tableData ? JSON.stringify(tableData) : '',
+          rowData ? JSON.stringify(rowData) : ''
+        ]);
+      });
+    });
+    return this.writeCSV(records, options);
+  },
+
+  // Fields of an object without a column of their own, or null when there are none
+  extraFields: function(source, columnFields) {
+    const extra = {};
+    Object.keys(source).forEach(key => {
+      if (columnFields.indexOf(key) === -1 && source[key] !== undefined) extra[key] = source[key];
+    });
+    return Object.keys(extra).length > 0 ? extra : null;
+  },
+
+  // Encode export text as bytes: encoding 'utf-8' or 'utf-16le', with a byte order mark when bom is
+  // true (Excel needs one to read UTF-8 CSV as Unicode)
+  encode: function(text, encoding = 'utf-8', bom = false) {
+    const source = bom ? `\uFEFF${text}` : text;
+    const normalized = encoding.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (normalized === 'utf8') {
+      return new TextEncoder().encode(source);
+    }
+    if (normalized === 'utf16le') {
+      const bytes = new Uint8Array(source.length * 2);
+      for (let i = 0; i < source.length; i++) {
+        const code = source.charCodeAt(i);
+        bytes[i * 2] = code & 0xff;
+        bytes[i * 2 + 1] = code >> 8;
+      }
+      return bytes;
+    }
+    throw new Error(`Unsupported encoding '${encoding}'; use utf-8 or utf-16le`);
+  },
+
+  // Group entries ({ moduleName, moduleDescription, table, chances }) by 'module' or 'category',
+  // keeping the order in which groups first appear
+  groupEntries: function(entries, groupBy = 'module') {
+    const groups = [];
+    const byKey = {};
+    entries.forEach(entry => {
+      const key = groupBy === 'category' ? entry.table.category : entry.moduleName;
+      if (!byKey[key]) {
+        byKey[key] = {
+          key: key,
+          title: this.titleCase(key),
+          description: groupBy === 'module' ? entry.moduleDescription : null,
+          entries: []
+        };
+        groups.push(byKey[key]);
+      }
+      byKey[key].entries.push(entry);
+    });
+    return groups;
+  },
+
+  // "plotDevelopment" or "plot-hooks" -> "Plot Development", "Plot Hooks"
+  titleCase: function(key) {
+    return String(key)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .split(/[-_\s]+/)
+      .filter(word => word)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  },
+
+  // [3, 5] -> "3-5", [7, 7] -> "7"
+  formatRange: function(range) {
+    if (!range) return '';
+    return range[0] === range[1] ? String(range[0]) : `${range[0]}-${range[1]}`;
+  },
+
+  // 0.0833 -> "8.3%"; chances that round to nothing but can still happen show as "<0.1%"
+  formatChance: function(probability) {
+    if (probability > 0 && probability < 0.0005) return '<0.1%';
+    return `${(probability * 100).toFixed(1)}%`;
+  },
+
+  // The columns of one printed table: die, result, and description and chance when present
+  documentColumns: function(entry) {
+    const columns = [{ key: 'range', title: entry.table.diceExpression }, { key: 'result', title: 'Result' }];
+    if (entry.table.results.some(result => result.description)) {
+      columns.push({ key: 'description', title: 'Description' });
+    }
+    if (entry.chances) columns.push({ key: 'chance', title: 'Chance' });
+    return columns;
+  },
+
+  // Text of one cell of a printed table
+  documentCell: function(entry, index, key) {
+    const result = entry.table.results[index];
+    switch (key) {
+      case 'range': return this.formatRange(result.range);
+      case 'chance': return this.formatChance(entry.chances[index]);
+      default: return result[key] !== undefined ? String(result[key]) : '';
+    }
+  },
+
+  // Heading anchor as GitHub renders it, numbered when the same heading text repeats
+  markdownAnchor: function(text, used) {
+    const base = text.toLowerCase().replace(/[^\w\- ]/g, '').replace(/ /g, '-');
+    const count = used[base] || 0;
+    used[base] = count + 1;
+    return count === 0 ? base : `${base}-${count}`;
+  },
+
+  // Markdown document. options: { title, groupBy ('module' or 'category'), toc (default true) }
+  tablesToMarkdown: function(entries, options = {}) {
+    const groups = this.groupEntries(entries, options.groupBy);
+    const cell = text => String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    const used = {};
+    const anchors = new Map();
+    const lines = [`# ${options.title || 'Random Tables'}`, ''];
+
+    // Anchors follow heading order, so the contents are worked out before they are written
+    this.markdownAnchor(options.title || 'Random Tables', used);
+    if (options.toc !== false) this.markdownAnchor('Contents', used);
+    groups.forEach(group => {
+      anchors.set(group, this.markdownAnchor(group.title, used));
+      group.entries.forEach(entry => anchors.set(entry, this.markdownAnchor(entry.table.name, used)));
+    });
+
+    if (options.toc !== false) {
+      lines.push('## Contents', '');
+      groups.forEach(group => {
+        lines.push(`- [${group.title}](#${anchors.get(group)})`);
+        group.entries.forEach(entry => {
+          lines.push(`  - [${entry.table.name}](#${anchors.get(entry)}) (${entry.table.diceExpression})`);
+        });
+      });
+      lines.push('');
+    }
+
+    groups.forEach(group => {
+      lines.push(`## ${group.title}`, '');
+      if (group.description) lines.push(group.description, '');
+      group.entries.forEach(entry => {
+        const columns = this.documentColumns(entry);
+        lines.push(`### ${entry.table.name}`);
+        if (entry.table.description) lines.push(entry.table.description);
+        lines.push('');
+        lines.push(`| ${columns.map(column => cell(column.title)).join(' | ')} |`);
+        lines.push(`|${columns.map(() => '----').join('|')}|`);
+        entry.table.results.forEach((result, index) => {
+          lines.push(`| ${columns.map(column => cell(this.documentCell(entry, index, column.key))).join(' | ')} |`);
+        });
+        lines.push('');
+      });
+    });
+    return lines.join('\n');
+  },
+
+  // Escape text for HTML element content and attribute values
+  escapeHTML: function(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  // Print styles: every table stays on one page and every group starts a new one. The 'screen'
+  // layout prints landscape in three columns, sized for a GM-screen insert.
+  htmlStyles: function(layout) {
+    const styles = [
+      "body { font: 10pt/1.35 Georgia, 'Times New Roman', serif; color: #111; margin: 1.5em; }",
+      "h1 { font-size: 18pt; margin: 0 0 0.5em; }",
+      "h2 { font-size: 14pt; border-bottom: 2px solid #333; margin: 1em 0 0.4em; }",
+      "h3 { font-size: 11pt; margin: 0 0 0.2em; }",
+      ".dice { font: 9pt monospace; color: #555; font-weight: normal; }",
+      ".table-description, .group-description { margin: 0 0 0.4em; font-style: italic; }",
+      ".random-table { break-inside: avoid; page-break-inside: avoid; margin: 0 0 1em; }",
+      "table { border-collapse: collapse; width: 100%; }",
+      "th, td { border: 1px solid #999; padding: 2px 5px; text-align: left; vertical-align: top; }",
+      "th { background: #eee; }",
+      "td.range, td.chance { white-space: nowrap; text-align: right; }",
+      ".toc ol { margin: 0.2em 0; }",
+      "@media print {",
+      "  body { margin: 0; }",
+      "  a { color: inherit; text-decoration: none; }",
+      "  .toc { break-after: page; page-break-after: always; }",
+      "  .group + .group { break-before: page; page-break-before: always; }",
+      "  th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }",
+      "}"
+    ];
+    if (layout === 'screen') {
+      styles.push(
+        "@page { size: landscape; margin: 1cm; }",
+        ".group-tables { columns: 3; column-gap: 1.2em; }",
+        "body { font-size: 8.5pt; }"
+      );
+    } else {
+      styles.push("@page { margin: 1.5cm; }");
+    }
+    return styles.join('\n');
+  },
+
+  // Standalone HTML page. options: { title, groupBy, toc (default true), layout ('page' or 'screen') }
+  tablesToHTML: function(entries, options = {}) {
+    const groups = this.groupEntries(entries, options.groupBy);
+    const escape = text => this.escapeHTML(text);
+    const title = options.title || 'Random Tables';
+    const anchor = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const groupId = group => `group-${anchor(group.key)}`;
+    const tableId = entry => `table-${anchor(entry.moduleName)}-${anchor(entry.table.id)}`;
+    const html = [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escape(title)}</title>`,
+      '<style>',
+      this.htmlStyles(options.layout),
+      '</style>',
+      '</head>',
+      `<body class="layout-${options.layout === 'screen' ? 'screen' : 'page'}">`,
+      `<h1>${escape(title)}</h1>`
+    ];
+
+    if (options.toc !== false) {
+      html.push('<nav class="toc">', '<h2>Contents</h2>', '<ol>');
+      groups.forEach(group => {
+        html.push(`<li><a href="#${groupId(group)}">${escape(group.title)}</a>`, '<ol>');
+        group.entries.forEach(entry => {
+          html.push(`<li><a href="#${tableId(entry)}">${escape(entry.table.name)}</a> <span class="dice">${escape(entry.table.diceExpression)}</span></li>`);
+        });
+        html.push('</ol>', '</li>');
+      });
+      html.push('</ol>', '</nav>');
+    }
+
+    groups.forEach(group => {
+      html.push(`<section class="group" id="${groupId(group)}">`, `<h2>${escape(group.title)}</h2>`);
+      if (group.description) html.push(`<p class="group-description">${escape(group.description)}</p>`);
+      html.push('<div class="group-tables">');
+      group.entries.forEach(entry => {
+        const columns = this.documentColumns(entry);
+        html.push(`<article class="random-table" id="${tableId(entry)}">`);
+        html.push(`<h3>${escape(entry.table.name)} <span class="dice">${escape(entry.table.diceExpression)}</span></h3>`);
+        if (entry.table.description) html.push(`<p class="table-description">${escape(entry.table.description)}</p>`);
+        html.push('<table>', `<thead><tr>${columns.map(column => `<th scope="col">${escape(column.title)}</th>`).join('')}</tr></thead>`, '<tbody>');
+        entry.table.results.forEach((result, index) => {
+          const cells = columns.map(column => {
+            const text = escape(this.documentCell(entry, index, column.key)).replace(/\r?\n/g, '<br>');
+            return `<td class="${column.key}">${text}</td>`;
+          });
+          html.push(`<tr>${cells.join('')}</tr>`);
+        });
+        html.push('</tbody>', '</table>', '</article>');
+      });
+      html.push('</div>', '</section>');
+    });
+
+    html.push('</body>', '</html>');
+    return html.join('\n') + '\n';
+  },
+
+  // Key for our own fields inside VTT documents
+  vttFlag: 'rulzlawyer',
+
+  // Result text as a VTT shows it: "Rain - Steady rainfall, muddy conditions"
+  vttResultText: function(result) {
+    return result.description ? `${result.result} - ${result.description}` : result.result;
+  },
+
+  // Foundry VTT RollTable document (the JSON "Import Data" accepts) for a registry table. Foundry
+  // rolls the formula against each result's range; weights are the range sizes, or the row weights
+  // of a weighted table.
+  toFoundryRollTable: function(entry) {
+    const table = entry.table;
+    const weighted = table.format === 'weighted';
+    const tableFlags = this.extraFields(table, ["name", "description", "diceExpression", "results"]);
+    tableFlags.module = entry.moduleName;
+    return {
+      name: table.name,
+      description: table.description || '',
+      img: "icons/svg/d20-grey.svg",
+      formula: table.diceExpression,
+      replacement: true,
+      displayRoll: true,
+      results: table.results.map(result => ({
+        type: 0,
+        text: this.vttResultText(result),
+        img: "icons/svg/d20-black.svg",
+        documentCollection: "",
+        documentId: null,
+        weight: weighted ? result.weight : result.range[1] - result.range[0] + 1,
+        range: [result.range[0], result.range[1]],
+        drawn: false,
+        flags: { [this.vttFlag]: this.extraFields(result, ["range", "weight"]) }
+      })),
+      flags: { [this.vttFlag]: tableFlags }
+    };
+  },
+
+  // Roll20 rollable table ({ name, showplayers, tableitems: [{ name, weight, avatar }] }) for a table
+  // in weighted form (see RandomTablesData.toWeightedTable). Roll20 table names cannot contain
+  // spaces, so the table ID is used.
+  toRoll20Table: function(entry) {
+    const table = entry.table;
+    const tableFlags = this.extraFields(table, ["results"]);
+    tableFlags.module = entry.moduleName;
+    return {
+      name: table.id,
+      showplayers: false,
+      tableitems: table.results.map(result => ({
+        name: this.vttResultText(result),
+        weight: result.weight,
+        avatar: "",
+        [this.vttFlag]: this.extraFields(result, ["weight"])
+      })),
+      [this.vttFlag]: tableFlags
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TableExport;
+}
+
+// Global namespace for browser use
+if (typeof window !== 'undefined') {
+  window.TableExport = TableExport;
+}
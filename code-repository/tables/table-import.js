@@ -0,0 +1,663 @@
+/**
+ * Table Import
+ * Parses homebrew tables from CSV, JSON, modules JSON, Markdown, Foundry VTT RollTables and Roll20
+ * rollable tables into table definitions that RandomTablesData.importTables() validates and registers.
+ *
+ * Every parser returns { format, modules, lines, errors, warnings }:
+ *   modules  - { moduleName: { category, description, tables } } (a single entry unless the source
+ *              is an exportTables('modules') file)
+ *   lines    - { "module/tableId": { table: line, rows: [line per result] } } for error reporting
+ *   errors   - [{ line, tableId, row, message }] problems that stopped a table or row being read
+ *
+ * @version 2.0
+ * @date September 20, 2025
+ * @location code-repository/tables/table-import.js
+ */
+
+const TableImport = {
+  // CSV header names (lower case, spaces removed) and the fields they fill
+  csvColumns: {
+    tableid: 'tableId',
+    tablename: 'name',
+    category: 'category',
+    diceexpression: 'diceExpression',
+    rangemin: 'rangeMin',
+    rangemax: 'rangeMax',
+    result: 'result',
+    description: 'description',
+    weight: 'weight',
+    tags: 'tags',
+    module: 'module',
+    tabledescription: 'tableDescription',
+    tabledata: 'tableData',
+    rowdata: 'rowData'
+  },
+
+  // Text from a string or from bytes (Uint8Array, ArrayBuffer or Buffer); a UTF-16LE or UTF-8 byte
+  // order mark picks the encoding, otherwise UTF-8 is assumed
+  decode: function(input) {
+    if (typeof input === 'string') return input;
+    if (!(input instanceof ArrayBuffer) && !ArrayBuffer.isView(input)) {
+      const type = input === null || input === undefined ? String(input)
+        : Array.isArray(input) ? 'an array' : typeof input === 'object' ? 'an object' : `a ${typeof input}`;
+      throw new Error(`Cannot import ${type}: pass the file's text as a string, ArrayBuffer or Uint8Array`);
+    }
+    const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      let text = '';
+      for (let i = 2; i + 1 < bytes.length; i += 2) {
+        text += String.fromCharCode(bytes[i] | (bytes[i + 1] << 8));
+      }
+      return text;
+    }
+    return new TextDecoder('utf-8').decode(bytes);
+  },
+
+  // Guess the format of a source text: json, modules, foundry, roll20, markdown or csv
+  detectFormat: function(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    if (trimmed[0] === '{' || trimmed[0] === '[') {
+      try {
+        const data = JSON.parse(trimmed);
+        if (this.isFoundryRollTable(data)) return 'foundry';
+        if (this.isRoll20Export(data)) return 'roll20';
+        return this.isModulesExport(data) ? 'modules' : 'json';
+      } catch (error) {
+        return 'json';
+      }
+    }
+    if (/^\s*\|.*\|\s*$/m.test(trimmed)) {
+      return 'markdown';
+    }
+    return 'csv';
+  },
+
+  // An exportTables('modules') object: every value is a module with a tables map
+  isModulesExport: function(data) {
+    if (!data || Array.isArray(data) || typeof data !== 'object') return false;
+    const values = Object.values(data);
+    return values.length > 0 && values.every(value => value && typeof value.tables === 'object' && !value.results);
+  },
+
+  // Foundry VTT RollTable document(s): a formula or results with type and text but no "result"
+  isFoundryRollTable: function(data) {
+    const first = Array.isArray(data) ? data[0] : data;
+    return Boolean(first && typeof first === 'object' && Array.isArray(first.results) &&
+      (first.formula !== undefined || first.results.some(result => result && result.text !== undefined && result.result === undefined)));
+  },
+
+  // Roll20 rollable tables: { rollabletables: [...] }, an array of them or a single one with tableitems
+  isRoll20Export: function(data) {
+    if (!data || typeof data !== 'object') return false;
+    if (Array.isArray(data.rollabletables)) return true;
+    const first = Array.isArray(data) ? data[0] : data;
+    return Boolean(first && Array.isArray(first.tableitems));
+  },
+
+  // Parse text in the given format (detected when omitted).
+  // options: { format, moduleName (default "imported"), category, delimiter }
+  parse: function(input, options = {}) {
+    const text = this.decode(input);
+    const format = options.format || this.detectFormat(text);
+    switch (format) {
+      case 'csv': return this.parseCSV(text, options);
+      case 'json': return this.parseJSON(text, options);
+      case 'modules': return this.parseJSON(text, Object.assign({}, options, { modules: true }));
+      case 'markdown': return this.parseMarkdown(text, options);
+      case 'foundry': return this.parseFoundry(text, options);
+      case 'roll20': return this.parseRoll20(text, options);
+    }
+    throw new Error(`Unknown import format '${format}'; use csv, json, modules, markdown, foundry or roll20`);
+  },
+
+  // Split CSV text into records (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes).
+  // Returns [{ line, fields }] where line is the record's first line number; blank lines are skipped.
+  splitCSV: function(text, delimiter = ',') {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let fieldStarted = false;
+
+    const endRecord = () => {
+      fields.push(field);
+      if (fields.length > 1 || fields[0] !== '') {
+        records.push({ line: recordLine, fields: fields });
+      }
+      fields = [];
+      field = '';
+      fieldStarted = false;
+    };
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"' && !fieldStarted) {
+        quoted = true;
+        fieldStarted = true;
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = '';
+        fieldStarted = false;
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        endRecord();
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+        fieldStarted = true;
+      }
+    }
+    if (field !== '' || fields.length > 0) {
+      endRecord();
+    }
+    return records;
+  },
+
+  // Read the columns exportTables('csv') writes. Rows with a weight make weighted tables, rows with
+  // Range Min/Max ranged ones; table name, category and dice come from a table's first row.
+  parseCSV: function(text, options = {}) {
+    const delimiter = options.delimiter || this.detectDelimiter(text);
+    const report = this.createReport('csv', options);
+    const records = this.splitCSV(text, delimiter);
+    if (records.length === 0) {
+      report.errors.push({ line: 1, tableId: null, row: null, message: "CSV is empty" });
+      return report;
+    }
+
+    const header = records[0];
+    const columns = header.fields.map(name => this.csvColumns[name.replace(/\s+/g, '').toLowerCase()] || null);
+    header.fields.forEach((name, index) => {
+      if (!columns[index]) {
+        report.warnings.push({ line: header.line, tableId: null, row: null, message: `Ignoring unknown column '${name}'` });
+      }
+    });
+    ['tableId', 'result'].forEach(required => {
+      if (columns.indexOf(required) === -1) {
+        report.errors.push({ line: header.line, tableId: null, row: null, message: `Missing required column for ${required}` });
+      }
+    });
+    if (report.errors.length > 0) return report;
+
+    const tables = {};
+    records.slice(1).forEach(record => {
+      const row = {};
+      columns.forEach((column, index) => {
+        if (column) row[column] = record.fields[index] !== undefined ? record.fields[index] : '';
+      });
+      const addError = message => report.errors.push({ line: record.line, tableId: row.tableId || null, row: null, message: message });
+
+      if (!row.tableId) {
+        addError("Row has no table ID");
+        return;
+      }
+      const moduleName = row.module || report.moduleName;
+      const key = `${moduleName}/${row.tableId}`;
+      let table = tables[key];
+      if (!table) {
+        table = tables[key] = {
+          moduleName: moduleName,
+          definition: {
+            id: row.tableId,
+            name: row.name || row.tableId,
+            description: row.tableDescription || options.description || `Imported table ${row.name || row.tableId}`,
+            diceExpression: row.diceExpression || undefined,
+            category: row.category || options.category || 'imported',
+            results: []
+          }
+        };
+        report.lines[key] = { table: record.line, rows: [] };
+        const tableData = this.parseDataField(row.tableData, 'Table Data', addError);
+        if (tableData) Object.assign(table.definition, tableData);
+      }
+
+      const entry = { result: row.result };
+      const numbers = {};
+      let invalid = false;
+      ['rangeMin', 'rangeMax', 'weight'].forEach(column => {
+        if (row[column] === undefined || row[column].trim() === '') return;
+        const value = Number(row[column]);
+        if (!Number.isInteger(value)) {
+          addError(`${column === 'weight' ? 'Weight' : 'Range'} '${row[column]}' is not a whole number`);
+          invalid = true;
+        }
+        numbers[column] = value;
+      });
+      if (invalid) return;
+
+      if (numbers.weight !== undefined) {
+        entry.weight = numbers.weight;
+      } else if (numbers.rangeMin !== undefined && numbers.rangeMax !== undefined) {
+        entry.range = [numbers.rangeMin, numbers.rangeMax];
+      } else if (numbers.rangeMin !== undefined || numbers.rangeMax !== undefined) {
+        addError("Row needs both Range Min and Range Max");
+        return;
+      }
+      if (row.description) entry.description = row.description;
+      if (row.tags) entry.tags = row.tags.split(/[;|]/).map(tag => tag.trim()).filter(tag => tag);
+      const rowData = this.parseDataField(row.rowData, 'Row Data', addError);
+      if (rowData === false) return;
+      if (rowData) Object.assign(entry, rowData);
+
+      table.definition.results.push(entry);
+      report.lines[key].rows.push(record.line);
+    });
+
+    Object.keys(tables).forEach(key => {
+      const table = tables[key];
+      const definition = table.definition;
+      // Weighted tables export a derived dice expression; drop it along with any leftover ranges
+      if (definition.results.some(entry => entry.weight !== undefined)) {
+        delete definition.diceExpression;
+        definition.results.forEach(entry => delete entry.range);
+      }
+      if (definition.diceExpression === undefined) {
+        delete definition.diceExpression;
+        const highest = Math.max.apply(null, definition.results.filter(entry => entry.range).map(entry => entry.range[1]));
+        if (isFinite(highest) && highest > 0) {
+          definition.diceExpression = `1d${highest}`;
+          report.warnings.push({
+            line: report.lines[key].table, tableId: definition.id, row: null,
+            message: `No dice expression for '${definition.id}'; using 1d${highest} from its highest range`
+          });
+        }
+      }
+      this.addTable(report, table.moduleName, definition);
+    });
+    return report;
+  },
+
+  // JSON object from a Table Data / Row Data cell: null when empty, false (after reporting) when invalid
+  parseDataField: function(value, column, addError) {
+    if (!value || !value.trim()) return null;
+    try {
+      const data = JSON.parse(value);
+      if (data && typeof data === 'object' && !Array.isArray(data)) return data;
+      addError(`${column} must be a JSON object`);
+    } catch (error) {
+      addError(`${column} is not valid JSON: ${error.message}`);
+    }
+    return false;
+  },
+
+  // Comma unless the header line has more semicolons or tabs
+  detectDelimiter: function(text) {
+    const header = text.replace(/^\uFEFF/, '').split(/\r?\n/)[0] || '';
+    const counts = [',', ';', '\t'].map(delimiter => ({ delimiter: delimiter, count: header.split(delimiter).length }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 1 ? counts[0].delimiter : ',';
+  },
+
+  // Read exportTables('json') (tables keyed by ID), an array of tables, a single table, or with
+  // options.modules an exportTables('modules') file. Weighted tables exported with derived ranges
+  // come back in their weighted form.
+  parseJSON: function(text, options = {}) {
+    const report = this.createReport(options.modules ? 'modules' : 'json', options);
+    const source = text.replace(/^\uFEFF/, '');
+    const data = this.readJSON(source, report);
+    if (data === undefined) return report;
+
+    const groups = {};
+    if (options.modules || this.isModulesExport(data)) {
+      report.format = 'modules';
+      Object.keys(data).forEach(moduleName => {
+        const module = data[moduleName];
+        report.modules[moduleName] = { category: module.category, description: module.description, tables: {} };
+        groups[moduleName] = Object.values(module.tables || {});
+      });
+    } else if (Array.isArray(data)) {
+      groups[report.moduleName] = data;
+    } else if (data && Array.isArray(data.results)) {
+      groups[report.moduleName] = [data];
+    } else {
+      groups[report.moduleName] = Object.values(data || {});
+    }
+
+    let searchFrom = 0;
+    Object.keys(groups).forEach(moduleName => {
+      groups[moduleName].forEach(table => {
+        if (!table || typeof table !== 'object' || !table.id) {
+          report.errors.push({ line: null, tableId: null, row: null, message: "Skipping an entry without a table id" });
+          return;
+        }
+        const definition = JSON.parse(JSON.stringify(table));
+        if (definition.format === 'weighted') {
+          delete definition.format;
+          delete definition.diceExpression;
+          (definition.results || []).forEach(entry => delete entry.range);
+        }
+
+        // Best-effort line numbers: find the table's id, then each "result" key after it
+        const tableAt = source.indexOf(`"id": "${table.id}"`, searchFrom) !== -1
+          ? source.indexOf(`"id": "${table.id}"`, searchFrom)
+          : source.indexOf(`"${table.id}"`, searchFrom);
+        const lineOf = index => (index === -1 ? null : source.slice(0, index).split('\n').length);
+        const rows = [];
+        let rowAt = tableAt;
+        (definition.results || []).forEach(() => {
+          rowAt = rowAt === -1 ? -1 : source.indexOf('"result"', rowAt + 1);
+          rows.push(lineOf(rowAt));
+        });
+        if (tableAt !== -1) searchFrom = tableAt + 1;
+        report.lines[`${moduleName}/${definition.id}`] = { table: lineOf(tableAt), rows: rows };
+
+        this.addTable(report, moduleName, definition);
+      });
+    });
+    return report;
+  },
+
+  // JSON.parse that reports a syntax error (with its line) and returns undefined
+  readJSON: function(source, report) {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      const position = /position (\d+)/.exec(error.message);
+      const line = position ? source.slice(0, parseInt(position[1], 10)).split('\n').length : null;
+      report.errors.push({ line: line, tableId: null, row: null, message: `Invalid JSON: ${error.message}` });
+      return undefined;
+    }
+  },
+
+  // Best-effort line numbers for JSON without positions: each call finds a key after the previous one
+  lineFinder: function(source) {
+    let cursor = 0;
+    return key => {
+      const index = source.indexOf(key, cursor);
+      if (index === -1) return null;
+      cursor = index + 1;
+      return source.slice(0, index).split('\n').length;
+    };
+  },
+
+  // Our own fields inside VTT documents (see TableExport.toFoundryRollTable and toRoll20Table)
+  vttFlag: 'rulzlawyer',
+
+  // Plain text from VTT result HTML ("<p>Rusty <b>dagger</b></p>" -> "Rusty dagger")
+  stripHTML: function(text) {
+    return String(text)
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/p>\s*<p[^>]*>/gi, '\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+  },
+
+  // Foundry VTT RollTable JSON (a document from "Export Data", or an array of them). Results keep their
+  // ranges and the formula becomes the dice expression; a table without a formula is read by weight.
+  // Document and compendium results import as the linked document's name.
+  parseFoundry: function(text, options = {}) {
+    const report = this.createReport('foundry', options);
+    const source = text.replace(/^\uFEFF/, '');
+    const data = this.readJSON(source, report);
+    if (data === undefined) return report;
+    const documents = Array.isArray(data) ? data : [data];
+    const nextLine = this.lineFinder(source);
+
+    documents.forEach(document => {
+      const tableLine = nextLine('"results"');
+      if (!document || !Array.isArray(document.results)) {
+        report.errors.push({ line: tableLine, tableId: null, row: null, message: "Skipping an entry that is not a RollTable" });
+        return;
+      }
+      const flags = (document.flags && document.flags[this.vttFlag]) || {};
+      const definition = Object.assign({
+        id: this.slugify(document.name || 'foundry-table'),
+        name: document.name || 'Foundry Table',
+        description: this.stripHTML(document.description || '') || options.description || `Imported table ${document.name}`,
+        category: options.category || 'imported'
+      }, flags);
+      const moduleName = options.moduleName || flags.module || report.moduleName;
+      delete definition.module;
+      const weighted = flags.format === 'weighted' || !document.formula;
+      delete definition.format;
+      if (!weighted) definition.diceExpression = String(document.formula).replace(/\s+/g, '');
+      const lines = report.lines[`${moduleName}/${definition.id}`] = { table: tableLine, rows: [] };
+      definition.results = [];
+
+      // Foundry lists results in any order; rows are read in range order
+      const results = document.results
+        .map((result, index) => ({ result: result || {}, index: index, line: nextLine('"text"') }))
+        .sort((a, b) => ((a.result.range || [0])[0] - (b.result.range || [0])[0]));
+      results.forEach(({ result, index, line }) => {
+        const addError = message => report.errors.push({ line: line, tableId: definition.id, row: index, message: message });
+        const rowFlags = (result.flags && result.flags[this.vttFlag]) || null;
+        const text = result.text !== undefined ? result.text : (result.name || result.description || '');
+        const entry = rowFlags ? Object.assign({}, rowFlags) : { result: this.stripHTML(text) };
+        if (!rowFlags && result.type !== undefined && result.type !== 0 && result.type !== 'text') {
+          report.warnings.push({ line: line, tableId: definition.id, row: index, message: `Result '${entry.result}' links a Foundry document; only its name was imported` });
+        }
+        if (!entry.result) {
+          addError("Result has no text");
+          return;
+        }
+        if (weighted) {
+          entry.weight = result.weight !== undefined ? result.weight : 1;
+        } else if (Array.isArray(result.range) && result.range.length === 2) {
+          entry.range = [result.range[0], result.range[1]];
+        } else {
+          addError(`Result '${entry.result}' has no range`);
+          return;
+        }
+        definition.results.push(entry);
+        lines.rows.push(line);
+      });
+
+      this.addTable(report, moduleName, definition);
+    });
+    return report;
+  },
+
+  // Roll20 rollable tables: { rollabletables: [{ name, tableitems: [{ name, weight }] }] } as campaign
+  // exports and table scripts write them, an array of tables or one table. Roll20 tables are weighted.
+  parseRoll20: function(text, options = {}) {
+    const report = this.createReport('roll20', options);
+    const source = text.replace(/^\uFEFF/, '');
+    const data = this.readJSON(source, report);
+    if (data === undefined) return report;
+    const tables = Array.isArray(data.rollabletables) ? data.rollabletables : (Array.isArray(data) ? data : [data]);
+    const nextLine = this.lineFinder(source);
+
+    tables.forEach(table => {
+      const tableLine = nextLine('"tableitems"');
+      if (!table || !Array.isArray(table.tableitems)) {
+        report.errors.push({ line: tableLine, tableId: null, row: null, message: "Skipping an entry without tableitems" });
+        return;
+      }
+      const flags = table[this.vttFlag] || {};
+      const definition = Object.assign({
+        id: this.slugify(table.name || 'roll20-table'),
+        name: table.name ? table.name.replace(/[-_]+/g, ' ') : 'Roll20 Table',
+        description: options.description || `Imported table ${table.name}`,
+        category: options.category || 'imported'
+      }, flags);
+      const moduleName = options.moduleName || flags.module || report.moduleName;
+      delete definition.module;
+      const lines = report.lines[`${moduleName}/${definition.id}`] = { table: tableLine, rows: [] };
+      definition.results = [];
+
+      table.tableitems.forEach((item, index) => {
+        const line = nextLine('"weight"');
+        const addError = message => report.errors.push({ line: line, tableId: definition.id, row: index, message: message });
+        const entry = item && item[this.vttFlag] ? Object.assign({}, item[this.vttFlag]) : { result: this.stripHTML((item && item.name) || '') };
+        if (!entry.result) {
+          addError("Table item has no name");
+          return;
+        }
+        const weight = item.weight !== undefined && item.weight !== null ? Number(item.weight) : 1;
+        if (!Number.isInteger(weight) || weight < 0) {
+          addError(`Weight '${item.weight}' is not a whole number`);
+          return;
+        }
+        entry.weight = weight;
+        definition.results.push(entry);
+        lines.rows.push(line);
+      });
+
+      this.addTable(report, moduleName, definition);
+    });
+    return report;
+  },
+
+  // Read Markdown tables whose first column is a die ("d20", "1d100", "2d6", "d%") or "Weight".
+  // The nearest heading above a table names it (its slug is the ID) and the paragraph between
+  // heading and table describes it. Rows look like "| 1-3 | Result | Description |"; "00" means 100.
+  parseMarkdown: function(text, options = {}) {
+    const report = this.createReport('markdown', options);
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    let heading = null;
+    let paragraph = [];
+    let current = null;
+
+    const splitRow = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    const finish = () => {
+      if (current) {
+        this.addTable(report, report.moduleName, current.definition);
+        current = null;
+      }
+    };
+
+    lines.forEach((line, index) => {
+      const lineNumber = index + 1;
+      const headingMatch = /^#{1,6}\s+(.+?)\s*#*\s*$/.exec(line);
+      if (headingMatch) {
+        finish();
+        heading = { text: headingMatch[1], line: lineNumber };
+        paragraph = [];
+        return;
+      }
+      if (!/^\s*\|/.test(line)) {
+        finish();
+        if (line.trim()) paragraph.push(line.trim());
+        return;
+      }
+
+      const cells = splitRow(line);
+      if (!current) {
+        // Header row: the first column names the die or "Weight"
+        const first = cells[0].replace(/\s+/g, '').toLowerCase();
+        const dice = /^(\d*)d(\d+|%)$/.exec(first);
+        if (!dice && first !== 'weight') {
+          report.warnings.push({ line: lineNumber, tableId: null, row: null, message: `Skipping table whose first column '${cells[0]}' is not a die or Weight` });
+          current = { skip: true, definition: null };
+          return;
+        }
+        const name = heading ? heading.text : `Table at line ${lineNumber}`;
+        const slug = this.slugify(name);
+        let id = slug;
+        for (let suffix = 2; report.lines[`${report.moduleName}/${id}`] !== undefined; suffix++) id = `${slug}-${suffix}`;
+        const resultColumn = Math.max(1, cells.findIndex((cell, i) => i > 0 && /^result/i.test(cell)));
+        current = {
+          weighted: !dice,
+          sides: dice ? (dice[2] === '%' ? 100 : parseInt(dice[2], 10)) : null,
+          resultColumn: resultColumn,
+          descriptionColumn: cells.findIndex((cell, i) => i > 0 && i !== resultColumn && /^(description|details|notes)/i.test(cell)),
+          separatorSeen: false,
+          definition: {
+            id: id,
+            name: name,
+            description: paragraph.join(' ') || options.description || `Imported table ${name}`,
+            diceExpression: dice ? `${dice[1] || '1'}d${dice[2]}` : undefined,
+            category: options.category || 'imported',
+            results: []
+          }
+        };
+        if (!dice) delete current.definition.diceExpression;
+        report.lines[`${report.moduleName}/${id}`] = { table: heading ? heading.line : lineNumber, rows: [] };
+        return;
+      }
+      if (current.skip) return;
+      if (!current.separatorSeen && cells.every(cell => /^:?-{1,}:?$/.test(cell))) {
+        current.separatorSeen = true;
+        return;
+      }
+
+      const definition = current.definition;
+      const addError = message => report.errors.push({ line: lineNumber, tableId: definition.id, row: null, message: message });
+      const entry = { result: cells[current.resultColumn] || '' };
+      if (!entry.result) {
+        addError("Row has no result text");
+        return;
+      }
+
+      const key = cells[0].replace(/\s+/g, '');
+      if (current.weighted) {
+        if (!/^\d+$/.test(key)) {
+          addError(`Weight '${cells[0]}' is not a whole number`);
+          return;
+        }
+        entry.weight = parseInt(key, 10);
+      } else {
+        const range = /^(\d+)(?:[-–—](\d+))?$/.exec(key);
+        if (!range) {
+          addError(`Range '${cells[0]}' is not a number or a range like 1-3`);
+          return;
+        }
+        const toValue = value => (/^0+$/.test(value) && current.sides === 100 ? 100 : parseInt(value, 10));
+        entry.range = [toValue(range[1]), toValue(range[2] !== undefined ? range[2] : range[1])];
+      }
+      if (current.descriptionColumn > 0 && cells[current.descriptionColumn]) {
+        entry.description = cells[current.descriptionColumn];
+      }
+      definition.results.push(entry);
+      report.lines[`${report.moduleName}/${definition.id}`].rows.push(lineNumber);
+    });
+    finish();
+
+    if (Object.keys(report.lines).length === 0) {
+      report.errors.push({ line: null, tableId: null, row: null, message: "No Markdown table with a die or Weight column found" });
+    }
+    return report;
+  },
+
+  // "Goblin Loot (Minor)" -> "goblin-loot-minor"
+  slugify: function(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'imported-table';
+  },
+
+  createReport: function(format, options) {
+    return {
+      format: format,
+      moduleName: options.moduleName || 'imported',
+      modules: {},
+      lines: {},
+      errors: [],
+      warnings: []
+    };
+  },
+
+  addTable: function(report, moduleName, definition) {
+    if (!report.modules[moduleName]) {
+      report.modules[moduleName] = { category: definition.category || 'imported', description: `Tables imported as ${report.format}`, tables: {} };
+    }
+    report.modules[moduleName].tables[definition.id] = definition;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TableImport;
+}
+
+// Global namespace for browser use
+if (typeof window !== 'undefined') {
+  window.TableImport = TableImport;
+}
@@ -0,0 +1,350 @@
+/**
+ * Table Schema
+ * JSON Schema for table modules, tables and results, with the validator the registry runs when
+ * modules are registered or imported
+ *
+ * TableSchema.schema is a JSON Schema (draft 2020-12) document; table-module.schema.json is the same
+ * schema written out with JSON.stringify(TableSchema.schema, null, 2) for editors and other tools.
+ * validate() supports the keywords the schema uses and reports every problem with a JSON pointer
+ * ("/tables/goblin-loot/results/2/range") into the checked data. Fields the registry does not read
+ * must start with "x-", so a misspelt field is reported rather than ignored.
+ *
+ * @version 2.0
+ * @date September 20, 2025
+ * @location code-repository/tables/table-schema.js
+ */
+
+const TableSchema = {
+  schema: {
+    "$schema": "https://json-schema.org/draft/2020-12/schema",
+    "$id": "table-module.schema.json",
+    "title": "RulzLawyer random table module",
+    "description": "A module of random tables, such as NPCTables or TreasureTables",
+    "$ref": "#/$defs/module",
+    "$defs": {
+      "module": {
+        "type": "object",
+        "required": ["category", "description", "tables"],
+        "properties": {
+          "category": { "type": "string", "minLength": 1 },
+          "description": { "type": "string" },
+          "tables": {
+            "type": "object",
+            "propertyNames": { "$ref": "#/$defs/tableId" },
+            "additionalProperties": { "$ref": "#/$defs/table" }
+          }
+        },
+        "patternProperties": { "^x-": true },
+        "additionalProperties": false
+      },
+      "tableId": {
+        "type": "string",
+        "minLength": 1,
+        "pattern": "^[^\\s/]+$",
+        "description": "Table ID without spaces or slashes (a slash separates module and table in qualified IDs)"
+      },
+      "table": {
+        "type": "object",
+        "required": ["id", "name", "results"],
+        "properties": {
+          "id": { "$ref": "#/$defs/tableId" },
+          "name": { "type": "string", "minLength": 1 },
+          "description": { "type": "string" },
+          "diceExpression": { "type": "string", "minLength": 1, "description": "Required for ranged tables; weighted and list tables derive 1d<total weight>" },
+          "category": { "type": "string", "minLength": 1 },
+          "format": { "enum": ["ranged", "weighted"] },
+          "inlineDice": { "type": "boolean" },
+          "tags": { "$ref": "#/$defs/tags" },
+          "contextModifiers": { "type": "array", "items": { "$ref": "#/$defs/contextModifier" } },
+          "results": { "type": "array", "minItems": 1, "items": { "$ref": "#/$defs/resultEntry" } }
+        },
+        "patternProperties": { "^x-": true },
+        "additionalProperties": false
+      },
+      "resultEntry": {
+        "anyOf": [
+          { "type": "string", "minLength": 1, "description": "A list entry with weight 1" },
+          { "$ref": "#/$defs/result" }
+        ]
+      },
+      "result": {
+        "type": "object",
+        "required": ["result"],
+        "properties": {
+          "result": { "type": "string", "minLength": 1 },
+          "range": {
+            "type": "array",
+            "prefixItems": [{ "type": "integer" }, { "type": "integer" }],
+            "minItems": 2,
+            "maxItems": 2
+          },
+          "weight": { "type": "integer", "minimum": 1 },
+          "description": { "type": "string" },
+          "tags": { "$ref": "#/$defs/tags" },
+          "inlineDice": { "type": "boolean" },
+          "roll": {
+            "anyOf": [
+              { "$ref": "#/$defs/reference" },
+              { "type": "array", "items": { "$ref": "#/$defs/reference" } }
+            ]
+          },
+          "directive": { "$ref": "#/$defs/directive" },
+          "conditions": { "type": "array", "items": { "$ref": "#/$defs/condition" } }
+        },
+        "patternProperties": { "^x-": true },
+        "additionalProperties": false
+      },
+      "reference": {
+        "anyOf": [
+          { "type": "string", "minLength": 1 },
+          {
+            "type": "object",
+            "required": ["table"],
+            "properties": {
+              "table": { "type": "string", "minLength": 1 },
+              "times": {
+                "anyOf": [
+                  { "type": "integer", "minimum": 1 },
+                  { "type": "string", "pattern": "^\\d*d(\\d+|%)([+-]\\d+)?$" }
+                ]
+              }
+            },
+            "additionalProperties": false
+          }
+        ]
+      },
+      "directive": {
+        "type": "object",
+        "required": ["type"],
+        "properties": {
+          "type": { "enum": ["reroll", "delegate", "combine"] },
+          "table": { "type": "string", "minLength": 1 },
+          "modifier": { "type": "integer" },
+          "times": { "type": "integer", "minimum": 1 },
+          "unique": { "type": "boolean" }
+        },
+        "additionalProperties": false
+      },
+      "when": {
+        "type": "object",
+        "description": "Context keys to match: a value, a list of values or a { min, max } range",
+        "additionalProperties": {
+          "anyOf": [
+            { "type": ["string", "number", "boolean"] },
+            { "type": "array", "items": { "type": ["string", "number", "boolean"] } },
+            {
+              "type": "object",
+              "properties": { "min": { "type": "number" }, "max": { "type": "number" } },
+              "additionalProperties": false
+            }
+          ]
+        }
+      },
+      "contextModifier": {
+        "type": "object",
+        "required": ["when", "modifier"],
+        "properties": {
+          "when": { "$ref": "#/$defs/when" },
+          "modifier": { "type": "integer" },
+          "label": { "type": "string" }
+        },
+        "additionalProperties": false
+      },
+      "condition": {
+        "type": "object",
+        "required": ["when", "weight"],
+        "properties": {
+          "when": { "$ref": "#/$defs/when" },
+          "weight": { "type": "number", "minimum": 0 },
+          "label": { "type": "string" }
+        },
+        "additionalProperties": false
+      },
+      "tags": {
+        "type": "array",
+        "description": "Free-form tags; \"facet:value\" tags such as tone:grim or level:1-5 can be queried by facet",
+        "items": { "type": "string", "minLength": 1 }
+      }
+    }
+  },
+
+  // Check a value against the schema, or against one definition: validate(table, '#/$defs/table').
+  // Returns { valid, errors: [{ pointer, keyword, message }] }; pointers start at the checked value.
+  validate: function(value, ref = null, basePointer = '') {
+    const errors = [];
+    const schema = ref ? this.resolveRef(ref) : this.schema;
+    this.check(value, schema, basePointer, errors);
+    return { valid: errors.length === 0, errors: errors };
+  },
+
+  // "#/$defs/table" -> the table definition
+  resolveRef: function(ref) {
+    if (ref.indexOf('#') !== 0) {
+      throw new Error(`Only local schema references are supported, not '${ref}'`);
+    }
+    return ref.slice(1).split('/').filter(part => part).reduce((node, part) => {
+      const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!node || node[key] === undefined) {
+        throw new Error(`Schema reference '${ref}' not found`);
+      }
+      return node[key];
+    }, this.schema);
+  },
+
+  // "goblin/loot" -> "goblin~1loot"
+  escapePointer: function(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  },
+
+  // JSON Schema type name of a value ("integer" counts as "number" too)
+  typeOf: function(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  },
+
+  matchesType: function(value, type) {
+    const actual = this.typeOf(value);
+    return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+  },
+
+  // Schema of a subschema, following a $ref
+  target: function(schema) {
+    return schema && schema.$ref && schema.$ref !== '#' ? this.resolveRef(schema.$ref) : schema;
+  },
+
+  check: function(value, schema, pointer, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+      errors.push({ pointer: pointer, keyword: 'false', message: "is not allowed here" });
+      return;
+    }
+    const add = (keyword, message, at = pointer) => errors.push({ pointer: at, keyword: keyword, message: message });
+
+    if (schema.$ref) {
+      this.check(value, this.resolveRef(schema.$ref), pointer, errors);
+    }
+    if (schema.anyOf) {
+      this.checkAnyOf(value, schema.anyOf, pointer, errors);
+    }
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+      add('enum', `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+      return;
+    }
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      add('type', `must be ${[].concat(schema.type).join(' or ')}, not ${this.typeOf(value)}`);
+      return;
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        add('minLength', schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        add('pattern', `'${value}' must match ${schema.pattern}${schema.description ? ` (${schema.description})` : ''}`);
+      }
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        add('minimum', `must be ${schema.minimum} or more`);
+      }
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        add('minItems', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        add('maxItems', `must have at most ${schema.maxItems} items`);
+      }
+      value.forEach((item, index) => {
+        const itemSchema = schema.prefixItems && index < schema.prefixItems.length ? schema.prefixItems[index] : schema.items;
+        this.check(item, itemSchema, `${pointer}/${index}`, errors);
+      });
+    }
+    if (this.typeOf(value) === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) add('required', `is missing required property '${key}'`);
+      });
+      // Properties set to undefined count as missing, as they would in JSON
+      Object.keys(value).filter(key => value[key] !== undefined).forEach(key => {
+        const at = `${pointer}/${this.escapePointer(key)}`;
+        if (schema.propertyNames) {
+          const nameErrors = [];
+          this.check(key, schema.propertyNames, at, nameErrors);
+          nameErrors.forEach(error => add('propertyNames', `key ${error.message}`, at));
+        }
+        if (schema.properties && schema.properties[key] !== undefined) {
+          this.check(value[key], schema.properties[key], at, errors);
+          return;
+        }
+        const patterns = Object.keys(schema.patternProperties || {}).filter(pattern => new RegExp(pattern).test(key));
+        if (patterns.length > 0) {
+          patterns.forEach(pattern => this.check(value[key], schema.patternProperties[pattern], at, errors));
+          return;
+        }
+        if (schema.additionalProperties === false) {
+          const known = Object.keys(schema.properties || {});
+          add('additionalProperties', `'${key}' is not a known property${known.length ? ` (expected ${known.join(', ')})` : ''}`, at);
+        } else if (schema.additionalProperties !== undefined) {
+          this.check(value[key], schema.additionalProperties, at, errors);
+        }
+      });
+    }
+  },
+
+  // anyOf: when only one option accepts the value's type, its errors are the useful ones
+  checkAnyOf: function(value, options, pointer, errors) {
+    const attempts = options.map(option => {
+      const optionErrors = [];
+      this.check(value, option, pointer, optionErrors);
+      return optionErrors;
+    });
+    if (attempts.some(optionErrors => optionErrors.length === 0)) return;
+
+    const typed = options
+      .map((option, index) => ({ schema: this.target(option), errors: attempts[index] }))
+      .filter(option => !option.schema.type || this.matchesType(value, option.schema.type));
+    if (typed.length === 1) {
+      errors.push.apply(errors, typed[0].errors);
+      return;
+    }
+    const types = options.map(option => this.target(option).type).filter(type => type);
+    errors.push({
+      pointer: pointer,
+      keyword: 'anyOf',
+      message: types.length === options.length
+        ? `must be ${types.map(type => [].concat(type).join(' or ')).join(' or ')}, not ${this.typeOf(value)}`
+        : "does not match any allowed form"
+    });
+  },
+
+  // Check a table module; besides the schema, each table's id must match its key in `tables`
+  validateModule: function(module) {
+    const report = this.validate(module);
+    if (module && typeof module.tables === 'object' && module.tables !== null) {
+      Object.keys(module.tables).forEach(key => {
+        const table = module.tables[key];
+        if (table && typeof table === 'object' && typeof table.id === 'string' && table.id !== key) {
+          report.errors.push({
+            pointer: `/tables/${this.escapePointer(key)}/id`,
+            keyword: 'id',
+            message: `must match its key in tables ('${key}'), not '${table.id}'`
+          });
+        }
+      });
+    }
+    report.valid = report.errors.length === 0;
+    return report;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TableSchema;
+}
+
+// Global namespace for browser use
+if (typeof window !== 'undefined') {
+  window.TableSchema = TableSchema;
+}
@@ -0,0 +1,221 @@
+/**
+ * Table Search
+ * Ranked full-text search over tables and their rows, used by RandomTablesData.search()
+ *
+ * Text is split into lower-case words ("Dragon's lair" -> dragon, lair) and indexed per field. A query
+ * word matches a word in the index exactly, as its prefix ("drag" -> dragon) or within a few typos
+ * ("dargon" -> dragon), and each match scores its match quality times the weight of the field it is
+ * in. A row hit needs at least one query word in the row itself; the rest may come from its table's
+ * name, description or category.
+ *
+ * @version 2.0
+ * @date September 20, 2025
+ * @location code-repository/tables/table-search.js
+ */
+
+const TableSearch = {
+  // How much a match counts in each field. Table fields: name, description, category; row fields:
+  // result and resultDescription (the row's description).
+  fieldWeights: {
+    name: 4,
+    description: 2,
+    category: 1,
+    result: 3,
+    resultDescription: 1.5
+  },
+
+  // Score of an exact word, of a word the query word begins, and per typo (0.7 for one, 0.49 for two)
+  matchQuality: {
+    exact: 1,
+    prefix: 0.8,
+    typo: 0.7
+  },
+
+  // Words too common to narrow a search
+  stopWords: ["a", "an", "and", "at", "by", "for", "from", "in", "is", "of", "on", "or", "the", "to", "with"],
+
+  // Lower-case words of a text, without possessives, punctuation or stop words
+  tokenize: function(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/['’]s\b/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 1 && this.stopWords.indexOf(word) === -1);
+  },
+
+  // Typos allowed in a query word: none up to 3 letters, one up to 7, then two
+  maxTypos: function(word) {
+    if (word.length <= 3) return 0;
+    return word.length <= 7 ? 1 : 2;
+  },
+
+  // Edits (insertions, deletions, substitutions and swaps of neighbouring letters) turning one word into
+  // the other, or limit + 1 once it is clear there are more than limit
+  editDistance: function(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    let before = null;
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) previous.push(j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          distance = Math.min(distance, before[j - 2] + 1);
+        }
+        current.push(distance);
+        best = Math.min(best, distance);
+      }
+      if (best > limit) return limit + 1;
+      before = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  },
+
+  // Index entries [{ key, qualifiedId, moduleName, moduleCategory, table }] (registry tables, normalised).
+  // Returns { entries, documents: [{ entry, row, fields }], words: { word: [{ document, field }] } }
+  // where a document is a table (row null) or one of its rows.
+  createIndex: function(entries) {
+    const index = { entries: entries, documents: [], words: {} };
+    const add = (entry, row, fields) => {
+      const document = index.documents.length;
+      index.documents.push({ entry: entry, row: row, fields: fields });
+      Object.keys(fields).forEach(field => {
+        this.tokenize(fields[field]).forEach(word => {
+          const postings = index.words[word] = index.words[word] || [];
+          const last = postings[postings.length - 1];
+          if (!last || last.document !== document || last.field !== field) {
+            postings.push({ document: document, field: field });
+          }
+        });
+      });
+    };
+    entries.forEach((entry, position) => {
+      const table = entry.table;
+      add(position, null, { name: table.name, description: table.description, category: table.category });
+      table.results.forEach((result, row) => {
+        add(position, row, { result: result.result, resultDescription: result.description });
+      });
+    });
+    return index;
+  },
+
+  // Indexed words a query word matches: [{ word, distance, quality }]
+  matchWord: function(index, term, fuzzy) {
+    if (!fuzzy) {
+      return index.words[term] ? [{ word: term, distance: 0, quality: this.matchQuality.exact }] : [];
+    }
+    const limit = this.maxTypos(term);
+    const matches = [];
+    Object.keys(index.words).forEach(word => {
+      if (word === term) {
+        matches.push({ word: word, distance: 0, quality: this.matchQuality.exact });
+      } else if (term.length >= 3 && word.indexOf(term) === 0) {
+        matches.push({ word: word, distance: 0, quality: this.matchQuality.prefix });
+      } else if (limit > 0) {
+        const distance = this.editDistance(term, word, limit);
+        if (distance <= limit) {
+          matches.push({ word: word, distance: distance, quality: Math.pow(this.matchQuality.typo, distance) });
+        }
+      }
+    });
+    return matches;
+  },
+
+  // Ranked hits for a query. options: {
+  //   module, category - only tables of that module, or with that category (the table's or its module's)
+  //   limit            - most hits returned (default 20; 0 for all)
+  //   match            - 'all' (default): every query word must match; 'any': at least one
+  //   fuzzy            - false matches whole words only, without prefixes or typos
+  //   weights          - field weights replacing fieldWeights, e.g. { result: 5 }
+  // }
+  // Returns [{ tableId, qualifiedId, tableName, module, row, result, score, matches }], best first. row
+  // is the matching row's index (null when the table's own fields matched) and result its text; matches
+  // lists [{ term, word, field, distance }] for each query word.
+  search: function(index, query, options = {}) {
+    const terms = this.tokenize(query).filter((term, position, all) => all.indexOf(term) === position);
+    if (terms.length === 0) {
+      return [];
+    }
+    const weights = Object.assign({}, this.fieldWeights, options.weights || {});
+    const matchAll = options.match !== 'any';
+    const allowed = index.entries.map(entry =>
+      (!options.module || entry.moduleName === options.module) &&
+      (!options.category || entry.table.category === options.category || entry.moduleCategory === options.category)
+    );
+
+    // Best match of each query word in each document
+    const best = {};
+    terms.forEach((term, termIndex) => {
+      this.matchWord(index, term, options.fuzzy !== false).forEach(match => {
+        index.words[match.word].forEach(posting => {
+          const document = index.documents[posting.document];
+          if (!allowed[document.entry]) return;
+          const score = match.quality * (weights[posting.field] || 0);
+          const scores = best[posting.document] = best[posting.document] || [];
+          if (!scores[termIndex] || scores[termIndex].score < score) {
+            scores[termIndex] = {
+              score: score,
+              match: { term: term, word: match.word, field: posting.field, distance: match.distance }
+            };
+          }
+        });
+      });
+    });
+
+    // Documents of each table: its own fields first, then its rows
+    const tableDocuments = {};
+    Object.keys(best).forEach(documentId => {
+      const document = index.documents[documentId];
+      (tableDocuments[document.entry] = tableDocuments[document.entry] || []).push(Number(documentId));
+    });
+
+    const hits = [];
+    Object.keys(tableDocuments).forEach(entryPosition => {
+      const entry = index.entries[entryPosition];
+      const tableDocument = tableDocuments[entryPosition].find(documentId => index.documents[documentId].row === null);
+      const tableScores = tableDocument !== undefined ? best[tableDocument] : [];
+      tableDocuments[entryPosition].forEach(documentId => {
+        const document = index.documents[documentId];
+        // A row takes any query word its own text lacks from the table's fields
+        const scores = terms.map((term, termIndex) =>
+          best[documentId][termIndex] || (document.row === null ? null : tableScores[termIndex] || null)
+        );
+        const matched = scores.filter(Boolean);
+        if (matched.length === 0 || (matchAll && matched.length < terms.length)) return;
+        const result = document.row === null ? null : entry.table.results[document.row];
+        hits.push({
+          tableId: entry.key,
+          qualifiedId: entry.qualifiedId,
+          tableName: entry.table.name,
+          module: entry.moduleName,
+          row: document.row,
+          result: result ? result.result : null,
+          score: Math.round(matched.reduce((sum, entryScore) => sum + entryScore.score, 0) * 1000) / 1000,
+          matches: matched.map(entryScore => entryScore.match),
+          order: [Number(entryPosition), document.row === null ? -1 : document.row]
+        });
+      });
+    });
+
+    hits.sort((a, b) => b.score - a.score || a.order[0] - b.order[0] || a.order[1] - b.order[1]);
+    const limit = options.limit === undefined ? 20 : options.limit;
+    return (limit ? hits.slice(0, limit) : hits).map(hit => {
+      delete hit.order;
+      return hit;
+    });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TableSearch;
+}
+
+// Global namespace for browser use
+if (typeof window !== 'undefined') {
+  window.TableSearch = TableSearch;
+}
@@ -105,6 +105,7 @@ const TreasureTables = {
       description: "Enchanted weapons and armaments",
       diceExpression: "1d20",
       category: "treasure",
+      inlineDice: false, // dice in these results are rules text, not quantities to roll
       results: [
         { range: [1, 3], result: "+1 Dagger" },
         { range: [4, 6], result: "+1 Shortsword" },
@@ -14,49 +14,20 @@
 /**
  * Example 1: Basic Adventure Setup Generator
  * Creates a complete adventure scenario using multiple tables
+ * (the 'adventure-setup' recipe in generator-recipes.js)
  */
 function generateAdventureSetup() {
   console.log("=== ADVENTURE GENERATOR ===");
   
-  // Mock dice engine results for demonstration
-  const mockDiceEngine = {
-    rollExpression: (expression) => {
-      // Simplified mock - in reality would use actual DiceEngine
-      const mockResults = {
-        '1d12': Math.floor(Math.random() * 12) + 1,
-        '1d10': Math.floor(Math.random() * 10) + 1,
-        '2d6': Math.floor(Math.random() * 11) + 2,
-        '1d20': Math.floor(Math.random() * 20) + 1,
-        '1d100': Math.floor(Math.random() * 100) + 1
-      };
-      
-      return {
-        expression: expression,
-        total: mockResults[expression] || 10,
-        dice: [mockResults[expression] || 10]
-      };
-    }
-  };
-  
-  // Generate adventure components
-  const hook = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'adventure-hooks');
-  const complication = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'complications');
-  const weather = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'weather-conditions');
-  const location = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'tavern-names');
+  const setup = RandomTablesData.quickGenerators.fromRecipe('adventure-setup');
   
-  console.log(`📖 Plot Hook: ${hook.result.result}`);
-  console.log(`⚡ Complication: ${complication.result.result}`);
-  console.log(`🌤️  Weather: ${weather.result.result} - ${weather.result.description}`);
-  console.log(`🏠 Starting Location: ${location.result.result}`);
+  console.log(`📖 Plot Hook: ${setup.plotHook}`);
+  console.log(`⚡ Complication: ${setup.complication}`);
+  console.log(`🌤️  Weather: ${setup.weather} - ${setup.weatherDescription}`);
+  console.log(`🏠 Starting Location: ${setup.startingLocation}`);
   console.log();
   
-  return {
-    plotHook: hook.result.result,
-    complication: complication.result.result,
-    weather: weather.result.result,
-    startingLocation: location.result.result,
-    weatherDescription: weather.result.description
-  };
+  return setup;
 }
 
 /**
@@ -66,73 +37,38 @@ function generateAdventureSetup() {
 function generateNPC() {
   console.log("=== NPC GENERATOR ===");
   
-  const mockDiceEngine = {
-    rollExpression: (expression) => ({
-      total: Math.floor(Math.random() * 100) + 1,
-      expression: expression,
-      dice: [Math.floor(Math.random() * 100) + 1]
-    })
-  };
+  const npc = RandomTablesData.quickGenerators.generateNPC();
   
-  const name = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'npc-names');
-  const motivation = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'npc-motivations');
-  const quirk = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'character-quirks');
-  
-  console.log(`👤 Name: ${name.result.result}`);
-  console.log(`   ${name.result.description || 'Mysterious individual'}`);
-  console.log(`🎯 Motivation: ${motivation.result.result}`);
-  console.log(`🎭 Quirk: ${quirk.result.result}`);
+  console.log(`👤 Name: ${npc.name}`);
+  console.log(`   ${npc.description || 'Mysterious individual'}`);
+  console.log(`🎯 Motivation: ${npc.motivation}`);
+  console.log(`🎭 Quirk: ${npc.quirk}`);
   console.log();
   
-  return {
-    name: name.result.result,
-    description: name.result.description,
-    motivation: motivation.result.result,
-    quirk: quirk.result.result
-  };
+  return npc;
 }
 
 /**
  * Example 3: Encounter Generator
  * Creates location-appropriate encounters with context
  */
-function generateEncounter(environment = 'forest') {
+function generateEncounter(environment = 'forest', context = {}) {
   console.log("=== ENCOUNTER GENERATOR ===");
   
-  const mockDiceEngine = {
-    rollExpression: (expression) => {
-      const maxRoll = expression.includes('d12') ? 12 : 
-                    expression.includes('d20') ? 20 :
-                    expression.includes('2d10') ? 20 : 10;
-      return {
-        total: Math.floor(Math.random() * maxRoll) + 1,
-        expression: expression,
-        dice: [Math.floor(Math.random() * maxRoll) + 1]
-      };
-    }
-  };
-  
-  // Choose encounter table based on environment
-  const encounterTable = environment === 'forest' ? 'forest-encounters' : 'urban-encounters';
-  
-  const encounter = RandomTablesData.rollWithDiceEngine(mockDiceEngine, encounterTable);
-  const complication = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'complications');
-  const weather = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'weather-conditions');
+  // The 'encounter' recipe picks its table from context.environment; party level, time of day etc.
+  // skew the tables that declare context modifiers
+  const encounter = RandomTablesData.quickGenerators.fromRecipe('encounter', null,
+    Object.assign({}, context, { environment: environment }));
   
   console.log(`🌲 Environment: ${environment}`);
-  console.log(`⚔️  Encounter: ${encounter.result.result}`);
-  console.log(`   ${encounter.result.description || 'No additional details'}`);
-  console.log(`⚡ Complication: ${complication.result.result}`);
-  console.log(`🌤️  Weather: ${weather.result.result}`);
+  console.log(`⚔️  Encounter: ${encounter.encounter}`);
+  console.log(`   ${encounter.encounterDescription || 'No additional details'}`);
+  encounter.modifiers.forEach(modifier => console.log(`   🎚️  ${modifier.label || 'Context modifier'}`));
+  console.log(`⚡ Complication: ${encounter.complication}`);
+  console.log(`🌤️  Weather: ${encounter.weather}`);
   console.log();
   
-  return {
-    environment: environment,
-    encounter: encounter.result.result,
-    encounterDescription: encounter.result.description,
-    complication: complication.result.result,
-    weather: weather.result.result
-  };
+  return Object.assign({ environment: environment }, encounter);
 }
 
 /**
@@ -142,28 +78,15 @@ function generateEncounter(environment = 'forest') {
 function generateTreasure(level = 'minor') {
   console.log("=== TREASURE GENERATOR ===");
   
-  const mockDiceEngine = {
-    rollExpression: (expression) => ({
-      total: Math.floor(Math.random() * 100) + 1,
-      expression: expression,
-      dice: [Math.floor(Math.random() * 100) + 1]
-    })
-  };
-  
   // Roll for both mundane and magical treasure
-  const mundane = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'mundane-treasure');
-  const magic = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'magic-items-minor');
+  const treasure = RandomTablesData.quickGenerators.fromRecipe('treasure');
   
-  console.log(`💰 Mundane Treasure: ${mundane.result.result}`);
-  console.log(`✨ Magic Item: ${magic.result.result}`);
-  console.log(`   ${magic.result.description || 'No additional details'}`);
+  console.log(`💰 Mundane Treasure: ${treasure.mundane}`);
+  console.log(`✨ Magic Item: ${treasure.magic}`);
+  console.log(`   ${treasure.magicDescription || 'No additional details'}`);
   console.log();
   
-  return {
-    mundane: mundane.result.result,
-    magic: magic.result.result,
-    magicDescription: magic.result.description
-  };
+  return treasure;
 }
 
 /**
@@ -173,27 +96,14 @@ function generateTreasure(level = 'minor') {
 function generateCharacterTraits() {
   console.log("=== CHARACTER CREATION HELPER ===");
   
-  const mockDiceEngine = {
-    rollExpression: (expression) => ({
-      total: Math.floor(Math.random() * 6) + 1,
-      expression: expression,
-      dice: [Math.floor(Math.random() * 6) + 1]
-    })
-  };
+  const traits = RandomTablesData.quickGenerators.fromRecipe('character-traits');
   
-  const abilityMethod = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'ability-score-generation');
-  const quirk = RandomTablesData.rollWithDiceEngine(mockDiceEngine, 'character-quirks');
-  
-  console.log(`🎲 Ability Score Method: ${abilityMethod.result.result}`);
-  console.log(`   ${abilityMethod.result.description}`);
-  console.log(`🎭 Character Quirk: ${quirk.result.result}`);
+  console.log(`🎲 Ability Score Method: ${traits.abilityMethod}`);
+  console.log(`   ${traits.abilityDescription}`);
+  console.log(`🎭 Character Quirk: ${traits.quirk}`);
   console.log();
   
-  return {
-    abilityMethod: abilityMethod.result.result,
-    abilityDescription: abilityMethod.result.description,
-    quirk: quirk.result.result
-  };
+  return traits;
 }
 
 /**
@@ -215,18 +125,19 @@ function analyzeTable(tableId) {
   console.log(`📂 Category: ${table.category}`);
   console.log(`📋 Number of Results: ${table.results.length}`);
   
-  // Analyze probability distribution
+  // Analyze probability distribution (exact odds from the dice expression, so 2d10 tables show their bell curve)
   const totalRanges = table.results.map(result => result.range[1] - result.range[0] + 1);
-  const totalPossibilities = Math.max(...table.results.map(result => result.range[1]));
+  const odds = RandomTablesData.getTableOdds(tableId);
   
-  console.log(`🎯 Total Possible Outcomes: ${totalPossibilities}`);
+  console.log(`🎯 Total Possible Outcomes: ${odds.outcomes}`);
   console.log(`📈 Average Range Size: ${(totalRanges.reduce((a, b) => a + b, 0) / totalRanges.length).toFixed(2)}`);
+  console.log(`📊 Average Roll: ${odds.mean.toFixed(2)} (median ${odds.percentiles[50]})`);
   
   // Show first few results as examples
   console.log(`📝 Sample Results:`);
-  table.results.slice(0, 3).forEach(result => {
-    const probability = ((result.range[1] - result.range[0] + 1) / totalPossibilities * 100).toFixed(1);
-    console.log(`   ${result.range[0]}-${result.range[1]} (${probability}%): ${result.result}`);
+  odds.rows.slice(0, 3).forEach(row => {
+    const probability = (row.probability * 100).toFixed(1);
+    console.log(`   ${row.range[0]}-${row.range[1]} (${probability}%): ${row.result}`);
   });
   
   if (table.results.length > 3) {
@@ -239,21 +150,29 @@ function analyzeTable(tableId) {
   if (!validation.valid) {
     console.log(`❌ Errors: ${validation.errors.join(', ')}`);
   }
+  if (validation.warnings.length > 0) {
+    console.log(`⚠️  Warnings: ${validation.warnings.join(', ')}`);
+  }
   
   console.log();
 }
 
 /**
  * Example 7: Campaign Session Generator
- * Creates complete session content with multiple elements
+ * Creates complete session content with multiple elements.
+ * Pass a seed (e.g. 48213) to regenerate exactly the same session later.
  */
-function generateSession() {
+function generateSession(seed = null) {
+  if (seed !== null) {
+    return RandomTablesData.withSeed(seed, () => generateSession());
+  }
+  
   console.log("=== COMPLETE SESSION GENERATOR ===");
   
-  const adventure = generateAdventureSetup();
-  const keyNPC = generateNPC();
-  const encounter = generateEncounter('forest');
-  const treasure = generateTreasure();
+  // The 'session' recipe nests the adventure-setup, npc, encounter and treasure recipes
+  const session = RandomTablesData.quickGenerators.fromRecipe('session');
+  const adventure = session.adventure;
+  const keyNPC = session.keyNPC;
   
   console.log("🎮 SESSION SUMMARY:");
   console.log(`The party begins at ${adventure.startingLocation} during ${adventure.weather}.`);
@@ -261,16 +180,17 @@ function generateSession() {
   console.log(`${keyNPC.name} ${keyNPC.quirk.toLowerCase()}.`);
   console.log(`The adventure hook: ${adventure.plotHook}`);
   console.log(`However, ${adventure.complication.toLowerCase()}.`);
-  console.log(`During their journey, they face: ${encounter.encounter}`);
-  console.log(`If successful, they may find: ${treasure.mundane} and ${treasure.magic}`);
+  console.log(`During their journey, they face: ${session.encounter.encounter}`);
+  console.log(`If successful, they may find: ${session.treasure.mundane} and ${session.treasure.magic}`);
+  if (session.twist) {
+    console.log(`Twist: ${session.twist}`);
+  }
+  if (session.seed !== null) {
+    console.log(`🎲 Seed: ${session.seed} (draw ${session.drawIndex})`);
+  }
   console.log();
   
-  return {
-    adventure,
-    keyNPC,
-    encounter, 
-    treasure
-  };
+  return session;
 }
 
 /**
@@ -303,28 +223,21 @@ function demonstrateModularFeatures() {
   
   // Demonstrate quick generators
   console.log("⚡ Quick Generators:");
-  const mockDiceEngine = {
-    rollExpression: (expression) => ({
-      total: Math.floor(Math.random() * 100) + 1,
-      expression: expression,
-      dice: [Math.floor(Math.random() * 100) + 1]
-    })
-  };
   
   if (RandomTablesData.quickGenerators) {
-    const npc = RandomTablesData.quickGenerators.generateNPC(mockDiceEngine);
+    const npc = RandomTablesData.quickGenerators.generateNPC();
     console.log(`👤 Generated NPC: ${npc.name} (${npc.occupation})`);
     console.log(`   Motivation: ${npc.motivation}`);
     console.log(`   Secret: ${npc.secret}`);
     console.log();
     
-    const location = RandomTablesData.quickGenerators.generateLocation(mockDiceEngine);
+    const location = RandomTablesData.quickGenerators.generateLocation();
     console.log(`🏠 Generated Location with tavern: ${location.tavern}`);
     console.log(`   Shop: ${location.shop}`);
     console.log(`   Feature: ${location.notableFeature}`);
     console.log();
     
-    const adventure = RandomTablesData.quickGenerators.generateAdventure(mockDiceEngine);
+    const adventure = RandomTablesData.quickGenerators.generateAdventure();
     console.log(`🎯 Generated Adventure:`);
     console.log(`   Hook: ${adventure.hook}`);
     console.log(`   Objective: ${adventure.objective}`);
@@ -339,6 +252,8 @@ function demonstrateModularFeatures() {
   const totalTables = Object.keys(validation).length;
   console.log(`✅ Table Validation: ${validTables}/${totalTables} tables valid`);
   
+  console.log(`⚠️  Warnings: ${validation.summary.warningCount} across ${validation.summary.tablesWithWarnings.length} tables`);
+  
   const invalidTables = Object.entries(validation).filter(([_, v]) => !v.valid);
   if (invalidTables.length > 0) {
     console.log("❌ Invalid Tables:");
@@ -346,6 +261,13 @@ function demonstrateModularFeatures() {
       console.log(`   ${tableId}: ${result.errors.join(', ')}`);
     });
   }
+  
+  // CSV export should read back to the same tables
+  const roundTrip = RandomTablesData.checkCsvRoundTrip();
+  console.log(`📄 CSV Round Trip: ${roundTrip.passed ? 'passed' : 'failed'} for ${roundTrip.tables} tables`);
+  roundTrip.failures.forEach(failure => {
+    console.log(`   ${failure.tableId}: ${failure.path} differs`);
+  });
   console.log();
 }
 
@@ -365,13 +287,17 @@ function runDemo() {
   // Run all examples
   generateAdventureSetup();
   generateNPC();
-  generateEncounter('urban');
+  generateEncounter('urban', { partyLevel: 7, timeOfDay: 'night' });
   generateTreasure();
   generateCharacterTraits();
   analyzeTable('tavern-names');
   analyzeTable('forest-encounters');
+  analyzeTable('urban-encounters');
   generateSession();
   
+  // Reproducible session: the same seed always yields the same session
+  generateSession(48213);
+  
   // NEW: Demonstrate modular features
   demonstrateModularFeatures();
   